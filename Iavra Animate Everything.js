@@ -11,6 +11,22 @@
  * @desc If set to true, running animations will be stored in the savefile and continued after loading.
  * @default false
  *
+ * @param Overwrite Mode
+ * @desc What happens to other tweens on the same object, when a tween starts. Can be "none", "auto" or "all".
+ * @default none
+ *
+ * @param Use Milliseconds
+ * @desc If set to true, durations and delays are given in milliseconds of real time instead of frames by default.
+ * @default false
+ *
+ * @param Window Transitions
+ * @desc Comma-separated list of "Window_Class: preset [direction] [duration] [easing]". See help for details.
+ * @default
+ *
+ * @param Window Transition Duration
+ * @desc Default duration of window transitions in frames. Default: 20
+ * @default 20
+ *
  * @help
  * To animate an object a new Tween has to be created and started like this:
  * var myTween = new IAVRA.ANIMATE.Tween(object, {_x : 100}).duration(50).start();
@@ -18,12 +34,43 @@
  * This will cause the property "_x" of "object" to change from its current value to 100 over the next
  * 50 frames, using linear easing (default).
  *
+ * Properties can be given as dotted paths, like "scale.x". If an object doesn't contain a property, but offers
+ * getter and setter functions for it, those are used instead. So the property "colorTone" on a sprite will be
+ * read with getColorTone() and written with setColorTone(). Besides numbers, the following values can be
+ * animated out of the box:
+ *
+ * Colors               Strings in the format "#rgb", "#rrggbb", "rgb(r, g, b)" or "rgba(r, g, b, a)". The
+ *                      result is a "#rrggbb" string or a "rgba(r, g, b, a)" string, if alpha is involved.
+ * Arrays               Arrays of numbers, like the [red, green, blue, gray] tones used by pictures and sprites.
+ *                      Every element is interpolated on its own.
+ * Objects              Objects containing only numbers, like {r: 255, g: 0, b: 0, a: 1}. Every key is
+ *                      interpolated on its own.
+ *
+ * Additional value types can be supported by adding an entry to IAVRA.ANIMATE.interpolators, which contains
+ * the 3 functions test(endValue), parse(value) and interpolate(start, end, progress).
+ *
+ * End values can also be given relative to the start value, like "+=100" or "-=50", or as functions, which
+ * receive the animated object and are evaluated on every update. This can be used to follow a moving target:
+ * new IAVRA.ANIMATE.Tween(popup, {x : function() { return event.screenX(); }}).duration(30).start();
+ *
+ * To animate an object from given values to its current ones, use from():
+ * new IAVRA.ANIMATE.Tween(sprite).from({opacity : 0}).duration(30).start();
+ *
  * The IAVRA.ANIMATE.Tween class contains the following functions:
  * 
- * start()              Starts the animation.
+ * start(manager)       Starts the animation. If a manager is given, the animation is bound to it instead of the
+ *                      global one.
  * stop()               Stops the animation. It can be restarted, but the current progress isn't saved.
  * pause()              Pauses the animation. It can be resumed at any time by calling resume().
  * resume()             Resumes the animation that has previously been pause()-d.
+ * from(properties)     Sets the start values of the given properties. Relative values are added to the current
+ *                      value and functions are evaluated once, when the tween starts. Properties, that don't have
+ *                      an end value, are animated towards their current value.
+ * fromTo(from, to)     Sets both the start and end values of the tween, replacing the ones given when creating it.
+ * retarget(properties) Redirects a running tween towards the given end values, starting from its current values
+ *                      with its full duration. Numeric properties keep their current velocity, so the motion
+ *                      doesn't snap when the target changes. If the tween isn't running, its end values are
+ *                      replaced, instead.
  * easing(easing)       Specified the easing function to be used by the tween. By default, linear (no)
  *                      easing is used. An easing function takes a single parameter k, which is defined as
  *                      t/d, meaning "current animation step" / "total duration" and can range from 0.0 to
@@ -49,18 +96,268 @@
  *                      object being animated. The get callback takes 2 parameters, the object and name
  *                      of the property being read. The set callback takes 3 parameters, the object, the
  *                      name of the property to write and the value it should be set to.
+ * repeat(count)        Sets how often the tween should be repeated after its first iteration. Use Infinity
+ *                      to repeat it until stop() is called. The default value is 0.
+ * repeatDelay(delay)   Sets the number of steps to wait between two iterations. The default value is 0.
+ * yoyo(yoyo)           If set to true (or called without parameter), every other iteration is played
+ *                      backwards, so the tween moves back and forth between its start and end values.
+ * reverse()            Toggles the playback direction, so the tween moves from its end values towards its
+ *                      start values. If called on a running tween, it turns around at its current position.
+ * onRepeat(callback)   Registers a callback, which will be invoked when the tween starts a new iteration.
+ *                      The callback receives the animated object as a parameter.
+ * timeScale(scale)     Sets the speed of the tween. Values lower than 1 slow it down, higher values speed it
+ *                      up. The default value is 1.
+ * useMilliseconds(ms)  If set to true (or called without parameter), duration and delay are given in milliseconds
+ *                      of real time instead of frames. The default is set via the "Use Milliseconds" parameter.
+ * tag(...)             Adds any number of tags to the tween, which can be used to find or stop it later. Tags are
+ *                      compared as strings, so tag(5) and tag("5") are the same.
+ * hasTag(tag)          Returns true, if the tween has the given tag.
+ * overwrite(mode)      Sets what happens to other running tweens on the same object, when this tween starts.
+ *                      "none" lets them run, "auto" removes the properties animated by this tween from them and
+ *                      "all" stops them completely. The default is set via the "Overwrite Mode" parameter.
+ * isActive()           Returns true, if the tween has been started and neither completed nor been stopped, yet.
+ * totalDuration()      Returns the number of steps needed to complete all iterations, not including the delay.
+ * progress(ratio)      If called without parameter, returns the current position as a ratio between 0 and 1.
+ *                      Otherwise, seeks to the given ratio.
+ * seek(position)       Jumps to the given position and applies the values at that point. The position is either
+ *                      a number of steps (not including the delay) or a percentage like "50%". Tweens, that haven't
+ *                      been started, are prepared without being started and continue from the seeked position once
+ *                      start() is called. Their overwrite mode and onStart callback are only applied by start(), so
+ *                      seeking doesn't affect other running tweens. Seeking doesn't complete the tween or trigger
+ *                      callbacks, so seek("100%") followed by an update can be used to skip a tween. Seeking a
+ *                      timeline completes all children, whose end has been passed.
+ * promise()            Returns a promise, which gets resolved when the tween completes. If the tween has already
+ *                      completed, the promise is resolved immediately. Stopping a tween doesn't resolve it.
+ * then(fn, fn)         Shortcut for promise().then(), which allows to sequence tweens like this:
+ *                      myTween.then(function() { return otherTween.start(); }).then(...);
+ *
+ * Except for promise(), then(), isActive(), totalDuration() and progress() without parameter, all functions
+ * return the Tween object itself and can be used for chaining.
+ *
+ * To sequence multiple tweens or run them in parallel, they can be grouped in a timeline:
+ * var myTimeline = new IAVRA.ANIMATE.Timeline()
+ *     .add(new IAVRA.ANIMATE.Tween(a, {_x : 100}).duration(30))
+ *     .addLabel('fade')
+ *     .add(new IAVRA.ANIMATE.Tween(b, {opacity : 0}).duration(20), 'fade')
+ *     .add(new IAVRA.ANIMATE.Tween(c, {opacity : 0}).duration(20), 'fade')
+ *     .add(new IAVRA.ANIMATE.Tween(d, {_y : 50}).duration(10), '+=10')
+ *     .start();
+ *
+ * To move an object along a curve instead of a straight line, a path tween can be used. It takes a list of
+ * waypoints, each containing x and y, which can also be given relative to the object's current position:
+ * new IAVRA.ANIMATE.PathTween(sprite, [{x : '+=0', y : '+=0'}, {x : '+=100', y : '-=80'}, {x : '+=200', y : '+=0'}])
+ *     .path('quadratic').constantSpeed().autoRotate().duration(60).start();
+ *
+ * The IAVRA.ANIMATE.PathTween class contains the same functions as the Tween class, except for from(), fromTo()
+ * and retarget(), which throw an error. Additionally, it contains the following functions:
+ *
+ * path(type)           Sets the kind of curve to be used. "catmullRom" (default) creates a smooth curve passing
+ *                      through all waypoints. "quadratic" and "cubic" create bezier curves, where every 2nd (or
+ *                      2nd and 3rd) waypoint is a control point, so they need 2n+1 (or 3n+1) waypoints. "linear"
+ *                      connects the waypoints with straight lines. Additional types can be added to
+ *                      IAVRA.ANIMATE.paths.
+ * axes(x, y)           Sets the properties, which receive the position. The default is "x" and "y". Pictures
+ *                      would use "_x" and "_y", instead.
+ * autoRotate(property, offset, degrees)
+ *                      Rotates the object along the path. The angle is written to the given property ("rotation"
+ *                      by default) and offset by a constant angle. Both are given in radians, unless degrees is
+ *                      set to true, like it's needed for the "_angle" property of pictures.
+ * constantSpeed(bool)  If set to true (or called without parameter), the object moves with constant speed along
+ *                      the whole path, instead of spending the same time on every segment.
  *
- * All functions return the Tween object itself and can be used for chaining.
+ * The IAVRA.ANIMATE.Timeline class contains the same start(), stop(), pause(), resume(), delay(), onStart(),
+ * onUpdate(), onComplete(), onStop(), chain(), promise(), then(), timeScale(), useMilliseconds(), tag(), hasTag(),
+ * isActive(), totalDuration(), progress() and seek() functions as the Tween class, with its callbacks receiving
+ * the timeline itself as a parameter. The time scale of a timeline also applies to all of its tweens. Seeking a
+ * timeline seeks all of its tweens, which can be used to scrub through a cutscene. Additionally, it contains the
+ * following functions:
+ *
+ * add(tween, position) Adds a tween or another timeline to the timeline. The position can be an absolute step
+ *                      (10), a label ("label"), an offset relative to the current end of the timeline ("+=10"
+ *                      or "-=10") or an offset relative to a label ("label+=10"). Offsets can be fractional, like
+ *                      "+=1.5". If no position is given, the tween will be appended to the end of the timeline.
+ *                      Please ensure not to call start() on the added tweens, since they are started by the
+ *                      timeline.
+ * addLabel(name, pos)  Adds a label at the given position, which takes the same values as add(). If no position
+ *                      is given, the label will mark the current end of the timeline.
+ *
+ * The timeline completes once all of its tweens have completed.
+ *
+ * For movement, that gets retargeted constantly (like cursors or a camera following the player), springs can be
+ * used instead of tweens. They don't have a fixed duration, but pull the properties of an object towards their
+ * targets and complete on their own, once everything has come to rest:
+ * var mySpring = new IAVRA.ANIMATE.Spring(cursor, {x : 100, y : 50}).stiffness(170).damping(26).start();
+ * mySpring.setTarget({x : 200});
+ *
+ * The IAVRA.ANIMATE.Spring class contains the same start(), stop(), pause(), resume(), delay(), onStart(),
+ * onUpdate(), onComplete(), onStop(), chain(), promise(), then(), timeScale(), useMilliseconds(), tag(), hasTag()
+ * and access() functions as the Tween class. Additionally, it contains the following functions:
+ *
+ * stiffness(value)     Sets the stiffness of the spring. Higher values cause faster movement. Default: 100
+ * damping(value)       Sets the damping of the spring. Lower values cause the object to bounce. Default: 10
+ * mass(value)          Sets the mass of the object. Heavier objects react slower. Default: 1
+ * precision(value)     Sets the distance to the target, below which a property is at rest. Default: 0.01
+ * velocity(velocity)   Sets the velocity of the given properties in units per second.
+ * setTarget(target)    Changes the target values while keeping the current velocity, so the object turns around
+ *                      smoothly. If the spring has already come to rest, it's started again.
+ *
+ * Inertia animations move the properties of an object with a given velocity (in units per second), which decays
+ * over time, like a list that has been flicked:
+ * new IAVRA.ANIMATE.Inertia(list, {scrollY : 600}).decay(0.9).start();
+ *
+ * The IAVRA.ANIMATE.Inertia class contains the same functions as the Spring class, except for stiffness(),
+ * damping() and mass(). Instead, it contains the following function:
+ *
+ * decay(value)         The factor, by which the velocity is multiplied every frame (at 60 frames per second).
+ *                      Has to be between 0 and 1. Default: 0.95
+ *
+ * Calling setTarget() on an inertia animation changes its velocity, so it comes to rest exactly at the given
+ * values, which can be used to snap to the nearest item. Springs and inertia animations can be added to timelines,
+ * but don't take up any time, so following animations are placed at the same position.
+ *
+ * By default, all animations are driven by a global manager and keep running when the scene changes. To bind
+ * animations to the current scene instead, pass its manager to start():
+ * new IAVRA.ANIMATE.Tween(sprite, {opacity : 0}).duration(30).start(SceneManager._scene.animationManager());
+ *
+ * Animations of a scene are paused when another scene is pushed on top of it (like the menu on top of the map),
+ * resumed once we return to it and stopped when it terminates. Managers can also be created on their own via
+ * new IAVRA.ANIMATE.Manager(), to group animations belonging to a window or other container. The
+ * IAVRA.ANIMATE.Manager class contains the following functions:
+ *
+ * pause()              Pauses all animations of the manager.
+ * resume()             Resumes all animations of the manager, after it has been pause()-d.
+ * isPaused()           Returns true, if the manager has been pause()-d.
+ * getAnimations()      Returns all animations running on the manager.
+ * clear()              Stops all animations of the manager without triggering callbacks or starting chained tweens.
+ * dispose()            Clears the manager and stops updating it. It can't be used, afterwards.
+ *
+ * Chained animations are started on the same manager as the animation they are chained to. Only the animations
+ * of the global manager are stored in the savefile.
  *
  * The IAVRA.ANIMATE module contains the following functions:
  *
  * clear()              Forcefully stops all currently running animations without triggering callbacks or
  *                      starting chained tweens.
+ * isAnimating(idOrTag) Returns true, if the tween or timeline with the given id (stored in its "_id" property) or
+ *                      any animation with the given tag is running. If no parameter is given, returns true if any
+ *                      animation is running. Animations of paused managers (for example those of a scene, that
+ *                      has been left via SceneManager.push) are ignored, so waiting for them doesn't block.
+ * getTweensByTag(tag)  Returns all running tweens and timelines with the given tag.
+ * getTweensOf(object)  Returns all running tweens animating the given object.
+ * killTweensByTag(tag) Stops all tweens and timelines with the given tag without triggering callbacks.
+ * killTweensOf(object, properties)
+ *                      Stops all tweens animating the given object without triggering callbacks. If an array of
+ *                      properties is given, only those are removed from the tweens, which are only stopped if
+ *                      they don't animate any other properties.
+ * timeScale            Not a function, but a property, that sets the speed of all animations. Setting it to 0.5
+ *                      causes all animations to run at half speed, which can be used for slow motion effects.
+ * stagger(objects, properties, options)
+ *                      Creates a timeline containing one tween per object, which animates the given properties.
+ *                      The start of every tween is delayed depending on the distance of its object to the one
+ *                      given by the "from" option. Properties can also be given as a function, which receives
+ *                      every object and its index and returns the properties for it. Options can contain:
+ *                      each      Number of steps between two neighbouring objects. Default: 0
+ *                      from      Where the animation starts. Either "start" (default), "center", "end" or the
+ *                                index of an object.
+ *                      grid      If given as [columns, rows], the objects are treated as a grid (row by row) and
+ *                                the distance to the "from" object is measured in 2 dimensions.
+ *                      duration  Duration of every tween.
+ *                      easing    Easing function of every tween.
+ *                      The timeline isn't started automatically and can be used to control all tweens at once:
+ *                      IAVRA.ANIMATE.stagger(sprites, {opacity : 255}, {each : 4, from : 'center'}).start();
+ * registerCallback(name, callback)
+ *                      Registers a callback under the given name. Every function, that takes a callback (like
+ *                      onComplete(), easing() or access()), also accepts the name of a registered callback.
+ *                      Easing functions can also be given by their path, like "quad.inOut". If the easing
+ *                      library is loaded, all names supported by IAVRA.EASING.get() can be used, including
+ *                      aliases like "easeInOutQuad" and easing functions registered via IAVRA.EASING.register().
+ *
+ * Windows can use transitions instead of the default opening and closing animation. They are set per window
+ * class via the "Window Transitions" parameter, which is a comma-separated list like this:
+ *
+ * Window_Base: fade, Window_MenuCommand: slide left, Window_Message: drop 40, Window_ChoiceList: pop back.out
+ *
+ * Every entry starts with the window class, followed by the preset and optionally a direction, duration (in frames)
+ * and easing. Transitions are inherited by subclasses and can be disabled for a subclass by using "none" as the
+ * preset. The following presets are available:
+ *
+ * fade                 Fades the window in and out. Default easing: linear
+ * slide                Slides the window in from an edge of the screen, given as direction ("left", "right", "top"
+ *                      or "bottom"). Default easing: quad.out
+ * pop                  Scales the window from its center. Default easing: back.out
+ * drop                 Drops the window from the top of the screen. Default easing: bounce.out
+ *
+ * Default easings, that can't be found because the easing library isn't loaded, fall back to linear easing.
+ * Closing a window plays its transition backwards. Windows, that are already open when their scene starts (like
+ * most menu windows), play their opening transition at that point. Transitions can also be set via script:
+ *
+ * IAVRA.ANIMATE.setWindowTransition(Window_MenuStatus, 'slide', {direction : 'right', duration : 30});
+ *
+ * Additional presets can be added to IAVRA.ANIMATE.transitions, each containing a default easing and the function
+ * apply(win, visibility, base, options), which receives the window, its visibility between 0 and 1, its
+ * original x, y, alpha, scaleX and scaleY and the options it has been configured with.
+ *
+ * Pictures, characters and the screen can also be animated with the following plugin command:
+ *
+ * Animate <target> <property> <value> [<property> <value> ...] [duration <d>] [delay <d>] [easing <easing>]
+ *         [tag <tag>] [overwrite <mode>] [wait]
+ *
+ * Where <target> is one of the following:
+ *
+ * picture <id>         The picture with the given id. Supports x, y, scaleX, scaleY, opacity, angle and tone.
+ * event <id>           The event with the given id. The keyword "this" can be used for the current event.
+ * player               The player.
+ * follower <index>     The follower at the given index, starting at 1.
+ * vehicle <type>       The vehicle of the given type, which is either "boat", "ship" or "airship".
+ * screen               The screen. Supports zoom, zoomX, zoomY, tone and brightness.
+ *
+ * Characters (events, player, followers and vehicles) support x, y and opacity. Their x and y are rounded to whole
+ * tiles and the character counts as standing on its target tile as soon as the animation starts, so events can still be
+ * triggered and passability keeps working. Other properties are written directly to the game object, so "_moveSpeed"
+ * would work, as well. Values are parsed as JSON, so tones can be given as [255,0,0,0], and values starting with "+="
+ * or "-=" are added to the property's current value. The easing is given by its path in IAVRA.EASING or the name of a
+ * registered callback. Missing or invalid values (every value, including duration and delay, has to be a number or an
+ * array of numbers) and unknown easings cause an error as soon as the command is executed. For example:
+ *
+ * Animate picture 3 x 200 opacity 0 duration 60 easing quad.inOut
+ * Animate event this x +=2 duration 30
+ * Animate screen tone [68,-34,-34,0] duration 120
+ *
+ * If the keyword "wait" is given, the event waits until the animation has completed. To wait until all running
+ * animations (or all animations with the given tag) have completed or to stop all animations with the given tag,
+ * use the following plugin commands:
+ *
+ * Animate wait [tag]
+ * Animate kill <tag>
+ *
+ * Inside a "Script" event command, you can wait for a specific tween or timeline or all animations with a given
+ * tag by calling one of these functions:
+ *
+ * this.waitForTween(myTween);
+ * this.waitForTag(tag);
  *
  * By default, animations are saved locally and get lost after saving and loading the game. The parameter
- * "Enable Persistence" changes this and stores all animations in the savefile. Note that JSON.stringify()
- * (which MV uses as its save mechanism) discards functions, which means that registered callbacks are lost
- * after loading a game.
+ * "Enable Persistence" changes this and stores all animations in the savefile. Since the savefile can't
+ * contain functions or references to objects, animated objects are stored as target descriptors and resolved
+ * again after loading. The following objects are supported by default:
+ *
+ * screen               $gameScreen
+ * map                  $gameMap
+ * picture              Pictures shown via "Show Picture" (Game_Picture), stored by their picture id.
+ * player               $gamePlayer
+ * follower             Party followers (Game_Follower), stored by their index.
+ * vehicle              Boat, ship and airship (Game_Vehicle), stored by their type.
+ * event                Events (Game_Event) on the current map, stored by map id and event id.
+ * actor                Actors (Game_Actor), stored by their actor id.
+ *
+ * Additional types can be added to IAVRA.ANIMATE.targets, each containing the 2 functions describe(object),
+ * which returns a descriptor object for every object it knows, and resolve(descriptor), which returns the
+ * described object. Tweens, whose objects can't be described or resolved (like events on another map), are
+ * dropped. Callbacks and easing functions are stored by name, so only registered callbacks and functions
+ * contained in IAVRA.EASING survive saving and loading. All other callbacks are lost.
+ *
+ * Tweens stored in savefiles created by older versions of this plugin can't be restored and are dropped when
+ * loading. $gameSystem.iavra_animate_tweens still returns the animations of the global manager.
  */
 
 var Imported = Imported || {};
@@ -82,316 +379,2568 @@ var IAVRA = IAVRA || {};
      */
     var params = (function($) {
         return {
-            enablePersistence: $['Enable Persistence'].toLowerCase() === 'true'
+            enablePersistence: $['Enable Persistence'].toLowerCase() === 'true',
+            useMilliseconds: ($['Use Milliseconds'] || '').toLowerCase() === 'true',
+            overwriteMode: ($['Overwrite Mode'] || 'none').trim().toLowerCase(),
+            windowTransitions: ($['Window Transitions'] || '').split(/\s*,\s*/).filter(function(entry) {
+                return !!entry;
+            }),
+            windowTransitionDuration: parseInt($['Window Transition Duration']) || 20
         };
     })($plugins.filter(function(plugin) {
         return plugin.description.indexOf('<Iavra Animate Everything>') != -1;
     })[0].parameters);
+
+    /**
+     * Overwrite modes accepted by the "Overwrite Mode" parameter and Tween.prototype.overwrite(). An invalid
+     * parameter would otherwise silently behave like one of them.
+     */
+    var _overwriteModes = ['none', 'auto', 'all'];
+    if(_overwriteModes.indexOf(params.overwriteMode) === -1) {
+        throw new Error('Unknown overwrite mode "' + params.overwriteMode + '".');
+    }
   
     /**
-     * Depending on the "Enable Persistence" parameter, we either store tweens locally
-     * or in $gameSystem.
+     * Contains all managers, that haven't been disposed, yet. Every one of them is
+     * updated by IAVRA.ANIMATE.update().
      */
-    var getTweens;
-    if(params.enablePersistence) {
-        getTweens = function() {
-            return $gameSystem.iavra_animate_tweens;
+    var _managers = [];
+
+    /**
+     * The manager driving all animations, that aren't bound to a scene or another
+     * manager. If "Enable Persistence" is set to true, its animations are serialized
+     * to $gameSystem before saving and restored after loading.
+     */
+    var _globalManager;
+    var getTweens = function() {
+        return _globalManager._animations;
+    };
+
+    /**
+     * Contains all callbacks registered via IAVRA.ANIMATE.registerCallback(), so they
+     * can be stored in the savefile by name.
+     */
+    var _callbacks = {};
+
+    /**
+     * Every animation receives a unique id, so it can be referenced by objects stored
+     * in the savefile, like a Game_Interpreter waiting for it to complete.
+     */
+    var _nextId = 0;
+
+    /**
+     * Timestamp of the last call to IAVRA.ANIMATE.update(), used to calculate the real
+     * time, that has passed since then.
+     */
+    var _lastUpdate;
+
+    /**
+     * The elapsed time passed to animations, whose update() function is called without
+     * parameters. Equals one frame at 60 frames per second.
+     */
+    var _defaultElapsed = {frames: 1, ms: 1000 / 60};
+
+    /**
+     * Limits the real time, that may pass between two updates, so animations don't
+     * jump ahead after the game has been paused or a scene took long to load.
+     */
+    var _maxElapsedMs = 100;
+
+    /**
+     * Returns all running animations matching the given predicate, including those
+     * executed by timelines, that haven't finished, yet. If progressing is true,
+     * animations of paused or disposed managers (like those of scenes, that have
+     * been left via SceneManager.push) are skipped, since they can't progress.
+     */
+    var findAnimations = function(predicate, progressing) {
+        var result = [];
+        var walk = function(animations) {
+            animations.forEach(function(animation) {
+                if(predicate(animation)) {
+                    result.push(animation);
+                }
+                walk(animation._pendingChildren());
+            });
         };
-    } else {
-        var _tweens = [];
-        getTweens = function() {
-            return _tweens;
+        _managers.forEach(function(manager) {
+            if(!progressing || !(manager._paused || manager._disposed)) {
+                walk(manager._animations);
+            }
+        });
+        return result;
+    };
+
+    /**
+     * Adds a new tween to the given manager or the global one, if none is given.
+     */
+    var addTween = function(tween, manager) {
+        manager || (manager = _globalManager);
+        if(manager._disposed) {
+            throw new Error('Animations can\'t be added to a disposed manager.');
         }
-    }
+        manager._animations.push(tween);
+    };
     
     /**
-     * Adds a new tween.
+     * Removes a tween from whichever manager contains it.
+     */
+    var removeTween = function(tween) {
+        _managers.forEach(function(manager) {
+            var index = manager._animations.indexOf(tween);
+            if(index !== -1) {
+                manager._animations.splice(index, 1);
+            }
+        });
+    };
+
+    /**
+     * Returns the manager containing the given tween, if any. Tweens executed by a timeline belong to the manager
+     * of their outermost timeline.
      */
-    var addTween = function(tween) {
-        getTweens().push(tween);
+    var managerOf = function(tween) {
+        var contains = function(animation) {
+            return animation === tween || animation._pendingChildren().some(contains);
+        };
+        return _managers.filter(function(manager) {
+            return manager._animations.some(contains);
+        })[0];
     };
     
     /**
-     * Removes a tween.
+     * Resolves a dotted property path like "scale.x" and returns the object containing the last property, as well
+     * as the name of that property.
      */
-    var removeTween = function(tween) {
-        var index = getTweens().indexOf(tween);
-        if(index !== -1) {
-            getTweens().splice(index, 1);
+    var resolvePath = function(object, property) {
+        var keys = String(property).split('.');
+        var key = keys.pop();
+        object = keys.reduce(function(current, key) { return current[key]; }, object);
+        return {object: object, key: key};
+    };
+
+    /**
+     * Returns a new object containing the properties of all given objects, where later objects override earlier ones.
+     * Animations copy the value maps they receive, so removing properties from them (for example by the overwrite
+     * mode) doesn't affect the caller or other animations created from the same map.
+     */
+    var copyValues = function() {
+        var result = {};
+        for(var i = 0; i < arguments.length; ++i) {
+            for(var key in arguments[i]) {
+                if(arguments[i].hasOwnProperty(key)) {
+                    result[key] = arguments[i][key];
+                }
+            }
         }
+        return result;
     };
-    
+
+    /**
+     * If an object doesn't contain the given property, but offers a getter or setter function for it (like
+     * "getColorTone" / "setColorTone" for "colorTone"), we use that instead.
+     */
+    var accessorFunction = function(object, key, prefix) {
+        if(key in object) {
+            return undefined;
+        }
+        var accessor = object[prefix + key[0].toUpperCase() + key.slice(1)];
+        return typeof accessor === 'function' ? accessor : undefined;
+    };
+
+    /**
+     * Returns the name of the first interpolator, that is able to handle the given value. Interpolators are
+     * tested in the order they have been added to IAVRA.ANIMATE.interpolators.
+     */
+    var findInterpolator = function(value) {
+        var interpolators = IAVRA.ANIMATE.interpolators;
+        var name = Object.keys(interpolators).filter(function(key) {
+            return interpolators[key].test(value);
+        })[0];
+        if(name === undefined) {
+            throw new Error('No interpolator found for value "' + value + '".');
+        }
+        return name;
+    };
+
+    /**
+     * Returns the function with the given name, which can either be a registered
+     * callback or the name of an easing function. If the easing library is loaded,
+     * its lookup is used, which also supports aliases like "easeInOutQuad". Otherwise
+     * easing functions are given by their path (like "quad.inOut"). If a function is
+     * given, it's returned as it is.
+     */
+    var resolveFunction = function(value) {
+        if(typeof value !== 'string') {
+            return value;
+        }
+        var fn = _callbacks.hasOwnProperty(value) ? _callbacks[value] : (typeof IAVRA.EASING.get === 'function') ?
+            IAVRA.EASING.get(value) : value.split('.').reduce(function(object, key) {
+                return object ? object[key] : undefined;
+            }, IAVRA.EASING);
+        if(typeof fn !== 'function') {
+            throw new Error('Unknown callback "' + value + '".');
+        }
+        return fn;
+    };
+
+    /**
+     * Returns the derivative of the given easing function. If the easing library is
+     * loaded, its derivative() is used, which prefers analytic derivatives. Otherwise
+     * the function is derived numerically.
+     */
+    var derivative = function(easing) {
+        var fn = resolveFunction(easing);
+        if(typeof IAVRA.EASING.derivative === 'function') {
+            return IAVRA.EASING.derivative(fn);
+        }
+        return function(k) {
+            var a = Math.max(k - 1e-4, 0), b = Math.min(k + 1e-4, 1);
+            return (fn(b) - fn(a)) / (b - a);
+        };
+    };
+
+    /**
+     * Returns the name under which the given function can be stored in the savefile.
+     * Registered callbacks are checked first, followed by easing functions. Returns
+     * undefined, if the function is unknown.
+     */
+    var functionName = function(fn) {
+        var name = Object.keys(_callbacks).filter(function(key) { return _callbacks[key] === fn; })[0];
+        if(name === undefined && typeof IAVRA.EASING.nameOf === 'function') {
+            name = IAVRA.EASING.nameOf(fn);
+        }
+        return name !== undefined ? name : (function search(object, path) {
+            for(var key in object) {
+                if(object[key] === fn) {
+                    return path + key;
+                }
+                if(object[key] && typeof object[key] === 'object') {
+                    var result = search(object[key], path + key + '.');
+                    if(result !== undefined) {
+                        return result;
+                    }
+                }
+            }
+        })(IAVRA.EASING, '');
+    };
+
+    /**
+     * Returns the name of the IAVRA.ANIMATE class, which the given animation is an
+     * instance of.
+     */
+    var animationClassName = function(animation) {
+        var prototype = Object.getPrototypeOf(animation);
+        return Object.keys(IAVRA.ANIMATE).filter(function(key) {
+            return typeof IAVRA.ANIMATE[key] === 'function' && IAVRA.ANIMATE[key].prototype === prototype;
+        })[0];
+    };
+
+    /**
+     * Converts a value to a format that can be stored in the savefile. Animations
+     * store their class, functions are stored by name and game objects are stored as
+     * target descriptors. Values that can't be converted are returned as undefined
+     * and won't be stored.
+     */
+    var serialize = function(value) {
+        if(value === null || typeof value === 'string' || typeof value === 'boolean') {
+            return value;
+        }
+        if(typeof value === 'number') {
+            return isFinite(value) ? value : {'@number': String(value)};
+        }
+        if(typeof value === 'function') {
+            var name = functionName(value);
+            return name === undefined ? undefined : {'@function': name};
+        }
+        if(typeof value !== 'object') {
+            return undefined;
+        }
+        if(value instanceof IAVRA.ANIMATE.Animation) {
+            var className = animationClassName(value);
+            return className === undefined ? undefined : {'@animation': className, data: serializeObject(value)};
+        }
+        if(Array.isArray(value)) {
+            return value.map(serialize).filter(function(element) { return element !== undefined; });
+        }
+        if(Object.getPrototypeOf(value) === Object.prototype) {
+            return serializeObject(value);
+        }
+        var targets = IAVRA.ANIMATE.targets;
+        for(var type in targets) {
+            var descriptor = targets[type].describe(value);
+            if(descriptor) {
+                descriptor['@target'] = type;
+                return descriptor;
+            }
+        }
+        return undefined;
+    };
+
+    /**
+     * Serializes all keys of the given object, skipping those that can't be stored.
+     */
+    var serializeObject = function(object) {
+        return Object.keys(object).reduce(function(map, key) {
+            var value = serialize(object[key]);
+            if(value !== undefined) {
+                map[key] = value;
+            }
+            return map;
+        }, {});
+    };
+
+    /**
+     * Restores a value, that has been created by serialize(). Functions are restored
+     * by name, since all callbacks can be given as names, as well. Target descriptors
+     * are resolved to the game objects they describe. Animations, whose targets can't
+     * be resolved, are dropped.
+     */
+    var deserialize = function(value) {
+        if(value === null || typeof value !== 'object') {
+            return value;
+        }
+        if(Array.isArray(value)) {
+            return value.map(deserialize).filter(function(element) { return element !== undefined; });
+        }
+        if(value['@number'] !== undefined) {
+            return Number(value['@number']);
+        }
+        if(value['@function'] !== undefined) {
+            return value['@function'];
+        }
+        if(value['@target'] !== undefined) {
+            var target = IAVRA.ANIMATE.targets[value['@target']];
+            return target ? (target.resolve(value) || undefined) : undefined;
+        }
+        var data = Object.keys(value).reduce(function(map, key) {
+            var element = deserialize(value[key]);
+            if(element !== undefined) {
+                map[key] = element;
+            }
+            return map;
+        }, {});
+        if(value['@animation'] !== undefined) {
+            var animation = new IAVRA.ANIMATE[value['@animation']]();
+            Object.keys(data.data || {}).forEach(function(key) { animation[key] = data.data[key]; });
+            return animation._restore() ? animation : undefined;
+        }
+        return data;
+    };
+
+    /**
+     * Physics-based animations are integrated in steps of at most this many seconds,
+     * so they stay stable when a frame takes longer than usual.
+     */
+    var _maxPhysicsStep = 1 / 120;
+
+    /**
+     * Matches relative values like "+=100" or "-=50".
+     */
+    var _relativeRegex = /^\s*([+-])=\s*(-?[\d.]+)\s*$/;
+
+    /**
+     * If the given value is relative (like "+=100"), returns it added to the given
+     * base value. Otherwise, the value is returned as it is.
+     */
+    var resolveRelative = function(value, base) {
+        var match = (typeof value === 'string') ? _relativeRegex.exec(value) : null;
+        if(!match) {
+            return value;
+        }
+        return (parseFloat(base) || 0) + parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+    };
+
+    /**
+     * Returns a function, that splits a list of waypoints into bezier segments of the given degree. Consecutive
+     * segments share their end and start points, so a path with n segments needs n * degree + 1 waypoints.
+     */
+    var bezierSegments = function(degree) {
+        return function(points) {
+            if(points.length < degree + 1 || (points.length - 1) % degree !== 0) {
+                throw new Error('A path of degree ' + degree + ' needs n * ' + degree + ' + 1 waypoints.');
+            }
+            var segments = [];
+            for(var i = 0; i + degree < points.length; i += degree) {
+                segments.push(points.slice(i, i + degree + 1));
+            }
+            return segments;
+        };
+    };
+
+    /**
+     * Matches colors given as "#rgb", "#rrggbb", "rgb(r, g, b)" or "rgba(r, g, b, a)".
+     */
+    var _colorRegex = /^\s*(?:#([0-9a-f]{3}|[0-9a-f]{6})|rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\))\s*$/i;
+
     //=============================================================================
     // namespace IAVRA.ANIMATE
     //=============================================================================
     
     IAVRA.ANIMATE = {
         
+        /**
+        * Registers a callback under the given name. Wherever a callback or easing
+        * function is expected, its name can be given, instead. Registered callbacks
+        * are stored by name in the savefile, so they survive saving and loading.
+        */
+        registerCallback: function(name, callback) {
+            if(typeof callback !== 'function') {
+                throw new Error('Callback "' + name + '" has to be a function.');
+            }
+            return _callbacks[name] = callback;
+        },
+
+        /**
+        * Returns true, if the animation with the given id (if a number is given) or any
+        * animation with the given tag (if a string is given) is currently running,
+        * either on its own or as part of a timeline. If no parameter is given, returns
+        * true if any animation is running. Animations of paused managers aren't counted,
+        * so waiting for them doesn't block the current scene.
+        */
+        isAnimating: function(idOrTag) {
+            return findAnimations(function(animation) {
+                return idOrTag === undefined || animation._id === idOrTag || animation.hasTag(idOrTag);
+            }, true).length > 0;
+        },
+
+        /**
+        * Returns all running tweens and timelines with the given tag, including those
+        * that are part of a timeline.
+        */
+        getTweensByTag: function(tag) {
+            return findAnimations(function(animation) { return animation.hasTag(tag); });
+        },
+
+        /**
+        * Returns all running tweens animating the given object, including those that are
+        * part of a timeline.
+        */
+        getTweensOf: function(object) {
+            return findAnimations(function(animation) { return animation._object === object; });
+        },
+
+        /**
+        * Stops all tweens and timelines with the given tag, without triggering any
+        * callbacks or starting chained tweens.
+        */
+        killTweensByTag: function(tag) {
+            this.getTweensByTag(tag).forEach(function(animation) { animation._kill(); });
+        },
+
+        /**
+        * Stops all tweens animating the given object, without triggering any callbacks
+        * or starting chained tweens. If an array of properties is given, only those
+        * properties are removed from the tweens and only tweens without any remaining
+        * properties are stopped.
+        */
+        killTweensOf: function(object, properties) {
+            this.getTweensOf(object).forEach(function(tween) {
+                if(properties === undefined || !tween._removeProperties(properties)) {
+                    tween._kill();
+                }
+            });
+        },
+
+        /**
+        * Creates a timeline containing one tween per object, whose start times are
+        * distributed depending on their distance to the object given by "from". The
+        * properties can also be given as a function, which receives every object and
+        * its index and returns the properties for it. The timeline isn't started.
+        */
+        stagger: function(objects, properties, options) {
+            options || (options = {});
+            var each = parseFloat(options.each) || 0, grid = options.grid;
+            var cols = grid ? Math.max(parseInt(grid[0]) || 1, 1) : objects.length;
+            var rows = grid ? Math.max(parseInt(grid[1]) || 1, 1) : 1;
+            var cell = function(index) { return [index % cols, Math.floor(index / cols)]; };
+            var origin = (function(from) {
+                switch(from === undefined ? 'start' : from) {
+                    case 'start': return [0, 0];
+                    case 'center': return [(cols - 1) / 2, (rows - 1) / 2];
+                    case 'end': return grid ? [cols - 1, rows - 1] : cell(objects.length - 1);
+                    default:
+                        if(isNaN(parseInt(from))) {
+                            throw new Error('Unknown stagger origin "' + from + '".');
+                        }
+                        return cell(parseInt(from));
+                }
+            })(options.from);
+            var timeline = new IAVRA.ANIMATE.Timeline();
+            objects.forEach(function(object, index) {
+                var values = (typeof properties === 'function') ? properties(object, index) : properties;
+                var tween = new IAVRA.ANIMATE.Tween(object, values);
+                if(options.duration !== undefined) {
+                    tween.duration(options.duration);
+                }
+                if(options.easing !== undefined) {
+                    tween.easing(options.easing);
+                }
+                var position = cell(index);
+                var distance = Math.sqrt(Math.pow(position[0] - origin[0], 2) + Math.pow(position[1] - origin[1], 2));
+                timeline.add(tween, Math.round(distance * each));
+            });
+            return timeline;
+        },
+
+        /**
+        * Sets the transition, that is played when windows of the given class (or one
+        * of its subclasses) open or close. The preset is the name of an entry in
+        * IAVRA.ANIMATE.transitions and options can contain direction, duration and
+        * easing. Passing null disables transitions for the class, even if they are
+        * set for one of its parent classes.
+        */
+        setWindowTransition: function(windowClass, preset, options) {
+            if(preset !== null && !this.transitions.hasOwnProperty(preset)) {
+                throw new Error('Unknown window transition "' + preset + '".');
+            }
+            options || (options = {});
+            windowClass.prototype._iavra_animate_windowTransition = (preset === null) ? null : {
+                preset: preset,
+                direction: options.direction,
+                duration: options.duration === undefined ? params.windowTransitionDuration : parseInt(options.duration),
+                easing: options.easing
+            };
+        },
+
         /**
         * Deletes all tweens, effectively stopping them (but without triggering any
         * existing callbacks).
         */
         clear: function() {
-            getTweens().splice(0, getTweens().length);
+            _managers.forEach(function(manager) {
+                manager._animations.splice(0, manager._animations.length);
+            });
         },
         
         /**
-        * Updates all registered tweens, deleting those from the array whose update()-
-        * function return false.
+        * Global time scale applied to all animations. Values lower than 1 cause slow
+        * motion, while higher values speed up all animations.
+        */
+        timeScale: 1,
+
+        /**
+        * Updates all managers, which in turn update their tweens, deleting those whose
+        * update()-function return false. Every tween receives the number of frames and
+        * the real time in milliseconds, that have passed since the last update, both
+        * scaled by the global time scale.
         */
         update: function() {
-            for(var index = getTweens().length - 1; index >= 0; index--) {
-                if (!getTweens()[index].update()) { 
-                    getTweens().splice(index, 1);
-                }
-            }
+            var now = Date.now();
+            var ms = _lastUpdate === undefined ? _defaultElapsed.ms : Math.min(Math.max(now - _lastUpdate, 0), _maxElapsedMs);
+            var elapsed = {frames: this.timeScale, ms: ms * this.timeScale};
+            _lastUpdate = now;
+            _managers.slice().forEach(function(manager) {
+                manager.update(elapsed);
+            });
         },
         
         /**
         * Default callbacks to be used for accessing properties on objects. Can be
         * overridden to alter the default behaviour. For single tweens, the function
         * access(getCallback, setCallback) can be used to provide custom functions.
+        * Properties can be given as dotted paths (like "scale.x") and fall back to
+        * getter and setter functions (like "getColorTone" / "setColorTone").
         */
         defaultCallbacks: {
             propertyGet: function(object, property) {
-                return object[property] || 0;
+                var path = resolvePath(object, property);
+                var getter = accessorFunction(path.object, path.key, 'get');
+                return (getter ? getter.call(path.object) : path.object[path.key]) || 0;
             },
             propertySet: function(object, property, value) {
-                object[property] = value;
+                var path = resolvePath(object, property);
+                var setter = accessorFunction(path.object, path.key, 'set');
+                setter ? setter.call(path.object, value) : (path.object[path.key] = value);
             }
-        }        
-    };
-    
-    //=============================================================================
-    // class IAVRA.ANIMATE.Tween
-    //=============================================================================
-    
-    IAVRA.ANIMATE.Tween = (function($) {
-        
+        },
+
         /**
-         * Initializes a new tween, which holds the animated object and handles the
-         * actual animation process.
-         */
-        $.prototype.initialize = function(object, properties) {
-            this._object = object;
-            this._time = 0;
-            this._duration = 1;
-            this._delay = 0;
-            this._easing = IAVRA.EASING.linear;
-            
-            this._running = false;
-            
-            this._valueGetCallback = IAVRA.ANIMATE.defaultCallbacks.propertyGet;
-            this._valueSetCallback = IAVRA.ANIMATE.defaultCallbacks.propertySet;
-            
-            this._valuesStart = {};
-            this._valuesEnd = properties || {};
-            
-            this._chainedTweens = [];
-        };
-        
+        * Target types are used to store animated game objects in the savefile. The
+        * describe() function returns a descriptor object for every object it knows,
+        * while resolve() takes such a descriptor and returns the game object, that is
+        * currently described by it. Additional types can be added for custom objects.
+        */
+        targets: {
+            screen: {
+                describe: function(object) {
+                    return object === $gameScreen ? {} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gameScreen;
+                }
+            },
+            map: {
+                describe: function(object) {
+                    return object === $gameMap ? {} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gameMap;
+                }
+            },
+            picture: {
+                describe: function(object) {
+                    var index = (object instanceof Game_Picture) ? $gameScreen._pictures.indexOf(object) : -1;
+                    return index !== -1 ? {id: index} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gameScreen._pictures[descriptor.id];
+                }
+            },
+            player: {
+                describe: function(object) {
+                    return object === $gamePlayer ? {} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gamePlayer;
+                }
+            },
+            follower: {
+                describe: function(object) {
+                    var index = (object instanceof Game_Follower) ? $gamePlayer.followers()._data.indexOf(object) : -1;
+                    return index !== -1 ? {index: index} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gamePlayer.followers().follower(descriptor.index);
+                }
+            },
+            vehicle: {
+                describe: function(object) {
+                    return (object instanceof Game_Vehicle) ? {type: object._type} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gameMap.vehicle(descriptor.type);
+                }
+            },
+            event: {
+                describe: function(object) {
+                    return (object instanceof Game_Event) ? {mapId: object._mapId, id: object.eventId()} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gameMap.mapId() === descriptor.mapId ? $gameMap.event(descriptor.id) : undefined;
+                }
+            },
+            actor: {
+                describe: function(object) {
+                    return (object instanceof Game_Actor) ? {id: object.actorId()} : undefined;
+                },
+                resolve: function(descriptor) {
+                    return $gameActors.actor(descriptor.id);
+                }
+            }
+        },
+
+        /**
+        * Interpolators are used to calculate the current value of a property. The
+        * first one whose test() function returns true for the end value is used.
+        * parse() converts both start and end value to a format understood by
+        * interpolate(), which returns the value for the given progress. parse() may
+        * return null, in which case the end value is used as start value. Additional
+        * interpolators can be added to handle custom value types.
+        */
+        interpolators: {
+            color: {
+                test: function(value) {
+                    return typeof value === 'string' && _colorRegex.test(value);
+                },
+                parse: function(value) {
+                    var match = _colorRegex.exec(value);
+                    if(!match) {
+                        return null;
+                    }
+                    if(match[1] === undefined) {
+                        return [match[2], match[3], match[4], match[5] === undefined ? 1 : match[5]].map(parseFloat);
+                    }
+                    var hex = match[1].length === 3 ? match[1].replace(/(.)/g, '$1$1') : match[1];
+                    return [0, 2, 4].map(function(i) { return parseInt(hex.substr(i, 2), 16); }).concat(1);
+                },
+                interpolate: function(start, end, progress) {
+                    var c = start.map(function(value, i) { return value + (end[i] - value) * progress; });
+                    var rgb = c.slice(0, 3).map(function(value) { return Math.max(Math.min(Math.round(value), 255), 0); });
+                    if(start[3] === 1 && end[3] === 1) {
+                        return '#' + rgb.map(function(value) { return (value < 16 ? '0' : '') + value.toString(16); }).join('');
+                    }
+                    return 'rgba(' + rgb.join(',') + ',' + Math.max(Math.min(c[3], 1), 0) + ')';
+                }
+            },
+            array: {
+                test: function(value) {
+                    return Array.isArray(value);
+                },
+                parse: function(value) {
+                    return Array.isArray(value) ? value.map(function(v) { return parseFloat(v) || 0; }) : null;
+                },
+                interpolate: function(start, end, progress) {
+                    return end.map(function(value, i) {
+                        var from = start[i] === undefined ? value : start[i];
+                        return from + (value - from) * progress;
+                    });
+                }
+            },
+            object: {
+                test: function(value) {
+                    return !!value && typeof value === 'object' && Object.keys(value).every(function(key) {
+                        return typeof value[key] === 'number';
+                    });
+                },
+                parse: function(value) {
+                    if(!value || typeof value !== 'object') {
+                        return null;
+                    }
+                    return Object.keys(value).reduce(function(map, key) {
+                        map[key] = parseFloat(value[key]) || 0;
+                        return map;
+                    }, {});
+                },
+                interpolate: function(start, end, progress) {
+                    return Object.keys(end).reduce(function(map, key) {
+                        var from = start[key] === undefined ? end[key] : start[key];
+                        map[key] = from + (end[key] - from) * progress;
+                        return map;
+                    }, {});
+                }
+            },
+            number: {
+                test: function(value) {
+                    return !isNaN(parseFloat(value));
+                },
+                parse: function(value) {
+                    return parseFloat(value) || 0;
+                },
+                interpolate: function(start, end, progress) {
+                    return start + (end - start) * progress;
+                }
+            }
+        },
+
+        /**
+        * Path types used by IAVRA.ANIMATE.PathTween. segments() splits the list of
+        * waypoints into segments, while weights() returns the weight of every point of
+        * a segment at the given position t (ranging from 0 to 1). Additional path types
+        * can be added to support other kinds of curves.
+        */
+        paths: {
+            linear: {
+                segments: bezierSegments(1),
+                weights: function(t) {
+                    return [1 - t, t];
+                }
+            },
+            quadratic: {
+                segments: bezierSegments(2),
+                weights: function(t) {
+                    var u = 1 - t;
+                    return [u * u, 2 * u * t, t * t];
+                }
+            },
+            cubic: {
+                segments: bezierSegments(3),
+                weights: function(t) {
+                    var u = 1 - t;
+                    return [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+                }
+            },
+            catmullRom: {
+                segments: function(points) {
+                    if(points.length < 2) {
+                        throw new Error('A Catmull-Rom path needs at least 2 waypoints.');
+                    }
+                    var segments = [], last = points.length - 1;
+                    for(var i = 0; i < last; ++i) {
+                        segments.push([points[Math.max(i - 1, 0)], points[i], points[i + 1], points[Math.min(i + 2, last)]]);
+                    }
+                    return segments;
+                },
+                weights: function(t) {
+                    var t2 = t * t, t3 = t2 * t;
+                    return [(-t + 2 * t2 - t3) / 2, (2 - 5 * t2 + 3 * t3) / 2, (t + 4 * t2 - 3 * t3) / 2, (t3 - t2) / 2];
+                }
+            }
+        },
+
+        /**
+        * Window transitions. apply() receives the window, its visibility ranging from 0
+        * (closed) to 1 (open), its original position, scale and alpha and the options
+        * it has been configured with. The easing is used when none is configured and
+        * falls back to linear, if the easing library isn't loaded. Closing a window
+        * plays its opening transition backwards.
+        */
+        transitions: {
+            fade: {
+                easing: 'linear',
+                apply: function(win, value, base, options) {
+                    win.alpha = base.alpha * value;
+                }
+            },
+            slide: {
+                easing: 'quad.out',
+                apply: function(win, value, base, options) {
+                    var dx = 0, dy = 0;
+                    switch(options.direction || 'left') {
+                        case 'left': dx = -(base.x + win.width); break;
+                        case 'right': dx = Graphics.boxWidth - base.x; break;
+                        case 'top': dy = -(base.y + win.height); break;
+                        case 'bottom': dy = Graphics.boxHeight - base.y; break;
+                    }
+                    win.x = base.x + dx * (1 - value);
+                    win.y = base.y + dy * (1 - value);
+                }
+            },
+            pop: {
+                easing: 'back.out',
+                apply: function(win, value, base, options) {
+                    win.scale.x = base.scaleX * value;
+                    win.scale.y = base.scaleY * value;
+                    win.x = base.x + win.width * base.scaleX * (1 - value) / 2;
+                    win.y = base.y + win.height * base.scaleY * (1 - value) / 2;
+                }
+            },
+            drop: {
+                easing: 'bounce.out',
+                apply: function(win, value, base, options) {
+                    win.y = base.y - (base.y + win.height) * (1 - value);
+                }
+            }
+        }
+    };
+    
+    //=============================================================================
+    // class IAVRA.ANIMATE.Animation
+    //=============================================================================
+
+    IAVRA.ANIMATE.Animation = (function($) {
+
         /**
-         * Initializes all start values, calls the onStartCallback, if any, and adds
-         * this tween to the module.
+         * Base class for everything, that can be driven by IAVRA.ANIMATE.update(). It contains the functionality
+         * shared by tweens and timelines, like starting, stopping, delays, callbacks and chaining.
          */
-        $.prototype.start = function() {
-            this._running = true;
+        $.prototype.initialize = function() {
+            this._id = ++_nextId;
             this._time = 0;
-            for(var prop in this._valuesEnd) {
-                this._valuesStart[prop] = parseFloat(this._valueGetCallback(this._object, prop));
-            }
-            if(this._onStartCallback !== undefined) {
-                this._onStartCallback(this._object);
+            this._delay = 0;
+            this._startDelay = 0;
+            this._timeScale = 1;
+            this._useMilliseconds = params.useMilliseconds;
+
+            this._running = false;
+            this._active = false;
+            this._killed = false;
+            this._completed = false;
+
+            this._tags = [];
+
+            this._chainedTweens = [];
+        };
+
+        /**
+         * Prepares this animation and adds it to the given manager, so it gets updated every frame. If no manager is
+         * given, the animation is added to the global one.
+         */
+        $.prototype.start = function(manager) {
+            this._killed = false;
+            if(this._prepared) {
+                this._prepared = false;
+                this._activate();
+            } else {
+                this._begin();
             }
-            addTween(this);
+            addTween(this, manager);
             return this;
         };
-        
+
+        /**
+         * Resets and activates the animation. This is also used by timelines, which drive their children themselves
+         * instead of adding them to the module.
+         */
+        $.prototype._begin = function() {
+            this._prepare();
+            this._activate();
+        };
+
+        /**
+         * Resets the animation to its start, without affecting anything outside of it. Used by seek(), so animations
+         * can be prepared before they are started.
+         */
+        $.prototype._prepare = function() {
+            this._completed = false;
+            this._time = 0;
+            this._delay = this._startDelay;
+        };
+
+        /**
+         * Marks the animation as running and calls the onStartCallback, if any.
+         */
+        $.prototype._activate = function() {
+            this._running = true;
+            this._active = true;
+            this._invoke(this._onStartCallback);
+        };
+
         /**
-         * Removes this tween and all chained tweens from the module and calls the
-         * onStopCallback, if any.
+         * Removes this animation and all chained animations from the module and calls the onStopCallback, if any.
          */
         $.prototype.stop = function() {
             removeTween(this);
             this._running = false;
-            if(this._onStopCallback !== undefined) {
-                this._onStopCallback(this._object);
-            }
+            this._active = false;
+            this._prepared = false;
+            this._invoke(this._onStopCallback);
             this._chainedTweens.forEach(function(tween) {
                 tween.stop();
             });
             return this;
         };
-        
+
         /**
-         * Pauses execution of this tween until resume() is called.
+         * Pauses execution of this animation until resume() is called.
          */
         $.prototype.pause = function() {
             this._running = false;
             return this;
         };
-        
+
         /**
-         * Resumes execution of a tween, that has been pause()-d.
+         * Resumes execution of an animation, that has been pause()-d.
          */
         $.prototype.resume = function() {
             this._running = true;
             return this;
         };
-        
+
         /**
-         * Specifies the easing function to be used by this tween. By default, every
-         * tween uses linear (no) easing.
+         * Delays execution of this animation for a certain number of steps. Values lower or equal 0 have no effect.
+         * The delay is also applied, whenever the animation is restarted.
          */
-        $.prototype.easing = function(easing) {
-            this._easing = easing;
+        $.prototype.delay = function(value) {
+            this._delay = this._startDelay = parseInt(value);
             return this;
         };
-        
+
         /**
-         * Sets the duration to be used for this tween. If this method is not called,
-         * the default value of 1 is used instead (which means, the animation finishes
-         * instantly).
+         * Adds one or more tags to this animation, which can be used to find or stop it via IAVRA.ANIMATE. Tags are
+         * stored as strings, so they can't be mistaken for animation ids and match those given in plugin commands.
          */
-        $.prototype.duration = function(value) {
-            if((this._duration = parseInt(value)) < 1) {
-                throw new Error('Duration has to be higher than 0.');
-            }
+        $.prototype.tag = function() {
+            Array.prototype.push.apply(this._tags, Array.prototype.map.call(arguments, String));
             return this;
         };
-        
+
         /**
-         * Delays execution of this tween for a certain number of steps. Values lower
-         * or equal 0 have no effect.
+         * Returns true, if this animation has the given tag. Tags are compared as strings.
          */
-        $.prototype.delay = function(value) {
-            this._delay = parseInt(value);
+        $.prototype.hasTag = function(tag) {
+            return this._tags.indexOf(String(tag)) !== -1;
+        };
+
+        /**
+         * Sets the time scale of this animation. Values lower than 1 cause the animation to run slower, while higher
+         * values cause it to run faster. This is applied on top of the global time scale.
+         */
+        $.prototype.timeScale = function(value) {
+            this._timeScale = Math.max(parseFloat(value) || 0, 0);
             return this;
         };
-        
+
         /**
-         * Registers a callback to be executed when the tween is started by calling the
-         * start()-function. The callback receives the animated object as a parameter.
+         * If set to true, duration and delay of this animation are given in milliseconds of real time, instead of
+         * frames. The default is given by the plugin parameter "Use Milliseconds".
+         */
+        $.prototype.useMilliseconds = function(value) {
+            this._useMilliseconds = (value === undefined) || !!value;
+            return this;
+        };
+
+        /**
+         * Registers a callback to be executed when the animation is started by calling the start()-function. The
+         * callback receives the animated object as a parameter.
          */
         $.prototype.onStart = function(callback) {
             this._onStartCallback = callback;
             return this;
         };
-        
+
         /**
-         * Registers a callback to be executed when the update()-method of this tween
-         * is called. The callback receives the animated object as a parameter.
+         * Registers a callback to be executed when the update()-method of this animation is called. The callback
+         * receives the animated object as a parameter.
          */
         $.prototype.onUpdate = function(callback) {
             this._onUpdateCallback = callback;
             return this;
         };
-        
+
         /**
-         * Registers a callback to be executed when the tween completes. The callback
-         * receives the animated object as a parameter.
+         * Registers a callback to be executed when the animation completes. The callback receives the animated
+         * object as a parameter.
          */
         $.prototype.onComplete = function(callback) {
             this._onCompleteCallback = callback;
             return this;
         };
-        
+
         /**
-         * Registers a callback to be executed when the tween is stopped by calling the
-         * stop()-function. The callback receives the animated object as a parameter.
+         * Registers a callback to be executed when the animation is stopped by calling the stop()-function. The
+         * callback receives the animated object as a parameter.
          */
         $.prototype.onStop = function(callback) {
             this._onStopCallback = callback;
             return this;
-        }
-        
+        };
+
         /**
-         * Adds the given tweens as chained tweens, which will be executed after this
-         * tween has been completed. Note that stopping a tween will also stop all
-         * chained tweens.
+         * Adds the given animations as chained animations, which will be executed after this animation has been
+         * completed. Note that stopping an animation will also stop all chained animations.
          */
         $.prototype.chain = function() {
             this._chainedTweens = Array.prototype.slice.call(arguments);
             return this;
-        }
-        
+        };
+
         /**
-         * By default the script will read and write properties directly on the object.
-         * This might not always be desirable, as there could exist setters that contain
-         * properties in a specific value range or similar. In this case, the method can
-         * be called to provide callbacks for getting and setting properties.
+         * Returns a promise, that gets resolved once this animation completes. If the animation has already been
+         * completed, the promise is resolved immediately. Stopping the animation doesn't resolve the promise, but
+         * restarting and completing it does.
          */
-        $.prototype.access = function(getCallback, setCallback) {
-            this._valueGetCallback = getCallback;
-            this._valueSetCallback = setCallback;
-            return this;
-        }
-        
+        $.prototype.promise = function() {
+            if(this._completed) {
+                return Promise.resolve();
+            }
+            if(!this._promise) {
+                var self = this;
+                this._promise = new Promise(function(resolve) { self._resolve = resolve; });
+            }
+            return this._promise;
+        };
+
         /**
-         * Progress the tween by incrementing the _time variable and calculating the
-         * new values of all given properties. Callbacks (onStart/onComplete) are called,
-         * if given. If the animation completes, all chained tweens (if any) are started.
-         * Returns false, when this tween has finished its execution.
+         * Shortcut for promise().then(), so animations can be used like promises.
          */
-        $.prototype.update = function() {
-            if(!this._running || --this._delay >= 0) {
-                return true;
-            }
-            var complete = (++this._time >= this._duration);
-            var progress = complete ? 1.0 : parseFloat(this._easing(this._time / this._duration));
-            for(var property in this._valuesEnd) {
-                var start = this._valuesStart[property];
-                var end = this._valuesEnd[property];
-                this._valueSetCallback(this._object, property, start + (end - start) * progress);
+        $.prototype.then = function(onFulfilled, onRejected) {
+            return this.promise().then(onFulfilled, onRejected);
+        };
+
+        /**
+         * Returns true, if this animation has been started and neither completed nor been stopped, yet.
+         */
+        $.prototype.isActive = function() {
+            return this._active;
+        };
+
+        /**
+         * Returns the number of steps this animation needs to complete, not including its delay.
+         */
+        $.prototype.totalDuration = function() {
+            return 0;
+        };
+
+        /**
+         * If called without parameter, returns the current position of this animation as a ratio between 0 and 1.
+         * Otherwise, seeks to the given ratio. Animations without a duration return 1, if they have completed, and 0
+         * otherwise. Infinitely repeating animations always return 0.
+         */
+        $.prototype.progress = function(value) {
+            if(value !== undefined) {
+                return this.seek(parseFloat(value) * 100 + '%');
             }
-            if(this._onUpdateCallback !== undefined) {
-                this._onUpdateCallback(this._object);
+            var total = this.totalDuration();
+            if(total === Infinity) {
+                return 0;
             }
-            if(complete) {
-                if(this._onCompleteCallback !== undefined) {
-                    this._onCompleteCallback(this._object);
+            return total > 0 ? Math.min(this._position() / total, 1) : (this._completed ? 1 : 0);
+        };
+
+        /**
+         * Jumps to the given position, which is either a number of steps (not including the delay) or a ratio given
+         * as a percentage string, like "50%", and applies the values at that point. Animations, that haven't been
+         * started, are prepared without being added to a manager or marked as active. Neither their onStart callback
+         * nor their overwrite mode are applied, until start() is called, which continues from the seeked position. So
+         * seeking never affects other running animations. Seeking doesn't complete the animation, which happens on its
+         * next update.
+         */
+        $.prototype.seek = function(position) {
+            var total = this.totalDuration();
+            if(typeof position === 'string' && /%\s*$/.test(position)) {
+                if(total === Infinity) {
+                    throw new Error('Infinitely repeating animations can\'t be seeked by ratio.');
                 }
-                this._chainedTweens.forEach(function(tween) {
-                    tween.start();
-                });
+                position = parseFloat(position) / 100 * total;
             }
-            return !complete;
-        }
-        
+            if(!this._active && !this._completed && !this._prepared) {
+                this._prepare();
+                this._prepared = true;
+            }
+            this._seek(Math.min(Math.max(parseFloat(position) || 0, 0), total));
+            return this;
+        };
+
+        /**
+         * Progresses the animation by the given elapsed time, which contains the number of frames and milliseconds
+         * passed since the last update. Returns false, when the animation has finished its execution.
+         */
+        $.prototype.update = function(elapsed) {
+            return false;
+        };
+
+        /**
+         * Applies the values at the given position, which has already been clamped to the animation's duration.
+         */
+        $.prototype._seek = function(position) {
+            this._time = position;
+            this._delay = 0;
+        };
+
+        /**
+         * Returns the current position of this animation, not including its delay.
+         */
+        $.prototype._position = function() {
+            return this._time;
+        };
+
+        /**
+         * Returns the amount of time, by which this animation should progress, depending on whether it's using frames
+         * or milliseconds and its time scale.
+         */
+        $.prototype._step = function(elapsed) {
+            elapsed || (elapsed = _defaultElapsed);
+            return (this._useMilliseconds ? elapsed.ms : elapsed.frames) * this._timeScale;
+        };
+
+        /**
+         * Returns the number of steps this animation needs to complete, including its delay. Used by timelines to
+         * place their children.
+         */
+        $.prototype._totalDuration = function() {
+            return Math.max(this._startDelay, 0) + this.totalDuration();
+        };
+
+        /**
+         * Calls the onCompleteCallback, if any, and starts all chained animations.
+         */
+        $.prototype._complete = function() {
+            this._active = false;
+            this._completed = true;
+            if(this._resolve) {
+                this._resolve();
+                this._promise = this._resolve = undefined;
+            }
+            this._invoke(this._onCompleteCallback);
+            var manager = managerOf(this);
+            this._chainedTweens.forEach(function(tween) {
+                tween.start(manager);
+            });
+        };
+
+        /**
+         * Removes this animation without triggering any callbacks or starting chained animations. If it's part of a
+         * timeline, the timeline skips it.
+         */
+        $.prototype._kill = function() {
+            removeTween(this);
+            this._running = false;
+            this._active = false;
+            this._killed = true;
+        };
+
+        /**
+         * Calls the given callback, if it's defined. Callbacks receive the animated object as their only parameter.
+         */
+        $.prototype._invoke = function(callback) {
+            if(callback !== undefined) {
+                resolveFunction(callback)(this._callbackTarget());
+            }
+        };
+
+        /**
+         * Called after the animation has been restored from a savefile. Returning false
+         * causes the animation to be dropped.
+         */
+        $.prototype._restore = function() {
+            _nextId = Math.max(_nextId, this._id);
+            return true;
+        };
+
+        /**
+         * Returns all child animations, that are currently being executed by this animation or are waiting to be
+         * executed.
+         */
+        $.prototype._pendingChildren = function() {
+            return [];
+        };
+
+        /**
+         * Returns the object, that should be passed to all callbacks.
+         */
+        $.prototype._callbackTarget = function() {
+            return this._object;
+        };
+
         return $;
     })(function() { this.initialize.apply(this, arguments); });
-    
+
     //=============================================================================
-    // module IAVRA.EASING
+    // class IAVRA.ANIMATE.Tween
     //=============================================================================
-    
-    IAVRA.EASING = (function($) {
-        
+
+    IAVRA.ANIMATE.Tween = (function($) {
+        ($.prototype = Object.create(IAVRA.ANIMATE.Animation.prototype)).constructor = $;
+
         /**
-        * Linear (no) easing. Other functions can be provided, but the script only ships
-        * with this one to not bloat it with functions.
-        */
-        $.linear = function(k) {
-            return k;
-        }
-        
-        return $;
-    })(IAVRA.EASING || {});
-    
-    //=============================================================================
-    // class Game_System
-    //=============================================================================
+         * Initializes a new tween, which holds the animated object and handles the
+         * actual animation process.
+         */
+        $.prototype.initialize = function(object, properties) {
+            IAVRA.ANIMATE.Animation.prototype.initialize.call(this);
+            this._object = object;
+            this._duration = 1;
+            this._easing = IAVRA.EASING.linear;
+
+            this._valueGetCallback = IAVRA.ANIMATE.defaultCallbacks.propertyGet;
+            this._valueSetCallback = IAVRA.ANIMATE.defaultCallbacks.propertySet;
+
+            this._valuesFrom = {};
+            this._valuesStart = {};
+            this._valuesEnd = copyValues(properties);
+            this._valuesTarget = {};
+            this._dynamic = {};
+            this._interpolation = {};
+            this._velocities = {};
+            this._removed = {};
+
+            this._overwrite = params.overwriteMode;
+
+            this._repeat = 0;
+            this._repeatDelay = 0;
+            this._yoyo = false;
+            this._reversed = false;
+            this._iteration = 0;
+        };
+
+        /**
+         * Initializes all start and end values and determines which interpolator to use
+         * for every property. Properties without a start value start at their current
+         * value, while those without an end value end at it. Start values given as
+         * functions are evaluated once, while end values given as functions are
+         * evaluated on every update. Relative start values are added to the current
+         * value, relative end values to the start value.
+         */
+        $.prototype._prepare = function() {
+            this._removed = {};
+            this._setupValues();
+            this._iteration = 0;
+            IAVRA.ANIMATE.Animation.prototype._prepare.call(this);
+        };
+
+        /**
+         * Applies the overwrite mode, before the tween is marked as running. This only
+         * happens once the tween is actually started, so seeking doesn't affect other
+         * tweens.
+         */
+        $.prototype._activate = function() {
+            this._applyOverwrite();
+            IAVRA.ANIMATE.Animation.prototype._activate.call(this);
+        };
+
+        /**
+         * Calculates the start and end values of all properties and determines which
+         * interpolator to use for each of them.
+         */
+        $.prototype._setupValues = function() {
+            this._valuesStart = {};
+            this._valuesTarget = {};
+            this._dynamic = {};
+            this._interpolation = {};
+            this._velocities = {};
+            this._properties().forEach(function(prop) {
+                var current = resolveFunction(this._valueGetCallback)(this._object, prop);
+                var from = this._valuesFrom.hasOwnProperty(prop) ? this._valuesFrom[prop] : current;
+                from = resolveRelative(typeof from === 'function' ? from(this._object) : from, current);
+                var end = this._valuesEnd.hasOwnProperty(prop) ? this._valuesEnd[prop] : current;
+                if(typeof end === 'function') {
+                    this._dynamic[prop] = true;
+                    this._valuesTarget[prop] = end;
+                    end = end(this._object);
+                } else {
+                    end = this._valuesTarget[prop] = resolveRelative(end, from);
+                }
+                var interpolator = IAVRA.ANIMATE.interpolators[this._interpolation[prop] = findInterpolator(end)];
+                var start = interpolator.parse(from);
+                this._valuesStart[prop] = (start === null) ? interpolator.parse(end) : start;
+            }, this);
+        };
+
+        /**
+         * Sets the values, from which the given properties should be animated. Properties
+         * not contained in the end values passed to the constructor are animated towards
+         * their current value.
+         */
+        $.prototype.from = function(properties) {
+            this._valuesFrom = copyValues(properties);
+            return this;
+        };
+
+        /**
+         * Sets both the start and end values of this tween, replacing the end values
+         * passed to the constructor.
+         */
+        $.prototype.fromTo = function(from, to) {
+            this._valuesFrom = copyValues(from);
+            this._valuesEnd = copyValues(to);
+            return this;
+        };
+
+        /**
+         * Redirects a running tween towards the given end values, starting from the
+         * current values with the full duration. End values, that aren't given, are
+         * kept. To avoid a visible snap, numeric properties keep their current velocity,
+         * which is achieved by adding an offset of c * k * (1 - k)^2 to their values.
+         * This offset starts with a slope of c and vanishes at the end of the first
+         * iteration. If the tween isn't running, its end values are replaced, instead.
+         */
+        $.prototype.retarget = function(properties) {
+            if(!this._active) {
+                this._valuesEnd = copyValues(this._valuesEnd, properties);
+                return this;
+            }
+            var velocities = this._currentVelocities();
+            this._valuesFrom = {};
+            this._valuesEnd = copyValues(this._valuesTarget, properties);
+            this._setupValues();
+            this._time = 0;
+            this._iteration = 0;
+            this._reversed = false;
+            var slope = derivative(this._easing)(0);
+            Object.keys(velocities).forEach(function(prop) {
+                if(this._interpolation[prop] === 'number') {
+                    var distance = this._endValue(prop) - this._valuesStart[prop];
+                    this._velocities[prop] = velocities[prop] - distance * slope;
+                }
+            }, this);
+            return this;
+        };
+
+        /**
+         * Returns the current velocity of all numeric properties, given as change per
+         * duration, including the offset added by retarget(). Tweens, that are delayed
+         * or have completed their iteration, stand still.
+         */
+        $.prototype._currentVelocities = function() {
+            var velocities = {};
+            if(this._delay > 0 || this._time >= this._duration) {
+                return velocities;
+            }
+            var k = this._time / this._duration;
+            var backwards = this._reversed !== (this._yoyo && this._iteration % 2 === 1);
+            var slope = derivative(this._easing)(backwards ? 1 - k : k) * (backwards ? -1 : 1);
+            this._properties().forEach(function(prop) {
+                if(this._interpolation[prop] !== 'number') {
+                    return;
+                }
+                velocities[prop] = (this._endValue(prop) - this._valuesStart[prop]) * slope;
+                if(this._iteration === 0 && this._velocities.hasOwnProperty(prop)) {
+                    velocities[prop] += this._velocities[prop] * (1 - k) * (1 - 3 * k);
+                }
+            }, this);
+            return velocities;
+        };
+
+        /**
+         * Sets what happens to other running tweens on the same object, when this tween
+         * starts. "none" lets them run, "auto" removes all properties animated by this
+         * tween from them and "all" stops them completely. Stopped tweens don't trigger
+         * any callbacks.
+         */
+        $.prototype.overwrite = function(mode) {
+            if(_overwriteModes.indexOf(mode) === -1) {
+                throw new Error('Unknown overwrite mode "' + mode + '".');
+            }
+            this._overwrite = mode;
+            return this;
+        };
+
+        /**
+         * Specifies the easing function to be used by this tween. By default, every
+         * tween uses linear (no) easing.
+         */
+        $.prototype.easing = function(easing) {
+            this._easing = easing;
+            return this;
+        };
+
+        /**
+         * Sets the duration to be used for this tween. If this method is not called,
+         * the default value of 1 is used instead (which means, the animation finishes
+         * instantly).
+         */
+        $.prototype.duration = function(value) {
+            if(isNaN(this._duration = parseInt(value)) || this._duration < 1) {
+                throw new Error('Duration has to be higher than 0.');
+            }
+            return this;
+        };
+
+        /**
+         * Sets how often this tween should be repeated after its first iteration. Infinity
+         * can be used to repeat it until stop() is called.
+         */
+        $.prototype.repeat = function(value) {
+            this._repeat = (value === Infinity) ? Infinity : Math.max(parseInt(value) || 0, 0);
+            return this;
+        };
+
+        /**
+         * Sets the number of steps to wait between two iterations of a repeating tween.
+         */
+        $.prototype.repeatDelay = function(value) {
+            this._repeatDelay = parseInt(value);
+            return this;
+        };
+
+        /**
+         * If set to true, every other iteration of a repeating tween will be played
+         * backwards, causing it to move back and forth between its start and end values.
+         */
+        $.prototype.yoyo = function(value) {
+            this._yoyo = (value === undefined) || !!value;
+            return this;
+        };
+
+        /**
+         * Toggles the playback direction, so the tween moves from its end values towards
+         * its start values. If called while the tween is running, it turns around at its
+         * current position.
+         */
+        $.prototype.reverse = function() {
+            this._reversed = !this._reversed;
+            this._time = Math.max(this._duration - this._time, 0);
+            return this;
+        };
+
+        /**
+         * Registers a callback to be executed whenever a repeating tween starts a new
+         * iteration. The callback receives the animated object as a parameter.
+         */
+        $.prototype.onRepeat = function(callback) {
+            this._onRepeatCallback = callback;
+            return this;
+        };
+
+        /**
+         * By default the script will read and write properties directly on the object.
+         * This might not always be desirable, as there could exist setters that contain
+         * properties in a specific value range or similar. In this case, the method can
+         * be called to provide callbacks for getting and setting properties.
+         */
+        $.prototype.access = function(getCallback, setCallback) {
+            this._valueGetCallback = getCallback;
+            this._valueSetCallback = setCallback;
+            return this;
+        };
+
+        /**
+         * Progress the tween by incrementing the _time variable by the elapsed time and
+         * calculating the new values of all given properties. Callbacks (onStart/onComplete) are called,
+         * if given. If an iteration completes and the tween should be repeated, the next
+         * iteration is started instead. If the animation completes, all chained tweens
+         * (if any) are started. Returns false, when this tween has finished its execution.
+         */
+        $.prototype.update = function(elapsed) {
+            if(this._killed) {
+                return false;
+            }
+            var step = this._step(elapsed);
+            if(!this._running || (this._delay -= step) >= 0) {
+                return true;
+            }
+            var complete = ((this._time += step) >= this._duration);
+            this._render(this._progressAt(this._time, this._iteration));
+            this._invoke(this._onUpdateCallback);
+            if(complete && this._iteration < this._repeat) {
+                this._iteration++;
+                this._time = 0;
+                this._delay = this._repeatDelay;
+                this._invoke(this._onRepeatCallback);
+                return true;
+            }
+            if(complete) {
+                this._complete();
+            }
+            return !complete;
+        };
+
+        /**
+         * Returns the eased progress at the given time of the given iteration, taking
+         * the playback direction into account.
+         */
+        $.prototype._progressAt = function(time, iteration) {
+            var backwards = this._reversed !== (this._yoyo && iteration % 2 === 1);
+            if(time >= this._duration) {
+                return backwards ? 0.0 : 1.0;
+            }
+            var k = time / this._duration;
+            return parseFloat(resolveFunction(this._easing)(backwards ? 1 - k : k));
+        };
+
+        /**
+         * Jumps to the given position, which might lie in any iteration or in the delay
+         * between two iterations.
+         */
+        $.prototype._seek = function(position) {
+            var cycle = this._duration + Math.max(this._repeatDelay, 0);
+            var iteration = Math.min(Math.floor(position / cycle), this._repeat);
+            var time = position - iteration * cycle;
+            if(time > this._duration && iteration < this._repeat) {
+                this._iteration = iteration;
+                this._time = this._duration;
+                this._render(this._progressAt(this._duration, iteration));
+                this._iteration = iteration + 1;
+                this._time = 0;
+                this._delay = cycle - time;
+                return;
+            }
+            this._iteration = iteration;
+            this._time = Math.min(time, this._duration);
+            this._delay = 0;
+            this._render(this._progressAt(this._time, iteration));
+        };
+
+        /**
+         * The position of a tween contains all previous iterations and the delay
+         * between them.
+         */
+        $.prototype._position = function() {
+            var cycle = this._duration + Math.max(this._repeatDelay, 0);
+            var delay = (this._iteration > 0) ? Math.max(this._delay, 0) : 0;
+            return Math.max(this._iteration * cycle + this._time - delay, 0);
+        };
+
+        /**
+         * Writes the values of all properties for the given (eased) progress. During the
+         * first iteration, the offsets added by retarget() are applied.
+         */
+        $.prototype._render = function(progress) {
+            var k = Math.min(this._time / this._duration, 1);
+            for(var property in this._valuesTarget) {
+                var interpolator = IAVRA.ANIMATE.interpolators[this._interpolation[property]];
+                var value = interpolator.interpolate(this._valuesStart[property], this._endValue(property), progress);
+                if(this._iteration === 0 && this._velocities.hasOwnProperty(property)) {
+                    value += this._velocities[property] * k * (1 - k) * (1 - k);
+                }
+                resolveFunction(this._valueSetCallback)(this._object, property, value);
+            }
+        };
+
+        /**
+         * Returns the parsed end value of the given property. Dynamic end values are
+         * evaluated again.
+         */
+        $.prototype._endValue = function(property) {
+            var interpolator = IAVRA.ANIMATE.interpolators[this._interpolation[property]];
+            var target = this._valuesTarget[property];
+            return interpolator.parse(this._dynamic[property] ? resolveFunction(target)(this._object) : target);
+        };
+
+        /**
+         * Stops or modifies other running tweens on the same object, depending on the
+         * overwrite mode of this tween.
+         */
+        $.prototype._applyOverwrite = function() {
+            if(this._overwrite === 'none') {
+                return;
+            }
+            var self = this, properties = this._properties();
+            IAVRA.ANIMATE.getTweensOf(this._object).forEach(function(tween) {
+                if(tween === self || !tween._active) {
+                    return;
+                }
+                if(self._overwrite === 'all' || !tween._removeProperties(properties)) {
+                    tween._kill();
+                }
+            });
+        };
+
+        /**
+         * Removes the given properties from this tween, so they won't be animated any
+         * longer. The start and end values are kept, so the properties are animated
+         * again, when the tween is restarted (for example by a timeline). Returns true,
+         * if the tween still contains at least one property.
+         */
+        $.prototype._removeProperties = function(properties) {
+            properties.forEach(function(property) {
+                this._removed[property] = true;
+                [this._valuesStart, this._valuesTarget, this._dynamic, this._interpolation,
+                    this._velocities].forEach(function(map) {
+                    delete map[property];
+                });
+            }, this);
+            return this._properties().length > 0;
+        };
+
+        /**
+         * Returns the names of all properties animated by this tween, that haven't been
+         * removed since it has been started.
+         */
+        $.prototype._properties = function() {
+            var properties = Object.keys(this._valuesEnd);
+            return properties.concat(Object.keys(this._valuesFrom).filter(function(property) {
+                return properties.indexOf(property) === -1;
+            })).filter(function(property) {
+                return !this._removed[property];
+            }, this);
+        };
+
+        /**
+         * A tween can only be restored, if its animated object could be resolved.
+         */
+        $.prototype._restore = function() {
+            return IAVRA.ANIMATE.Animation.prototype._restore.call(this) && this._object !== undefined;
+        };
+
+        /**
+         * A tween needs the duration of all iterations (including the delay between them)
+         * to complete. Infinitely repeating tweens never complete.
+         */
+        $.prototype.totalDuration = function() {
+            if(this._repeat === Infinity) {
+                return Infinity;
+            }
+            return this._duration * (this._repeat + 1) + Math.max(this._repeatDelay, 0) * this._repeat;
+        };
+
+        return $;
+    })(function() { this.initialize.apply(this, arguments); });
+
+    //=============================================================================
+    // class IAVRA.ANIMATE.PathTween
+    //=============================================================================
+
+    IAVRA.ANIMATE.PathTween = (function($) {
+        ($.prototype = Object.create(IAVRA.ANIMATE.Tween.prototype)).constructor = $;
+
+        /**
+         * Number of samples per segment used to approximate the length of a path.
+         */
+        var _samplesPerSegment = 20;
+
+        /**
+         * Initializes a new path tween, which moves the given object along a curve
+         * through (or, in case of bezier curves, controlled by) the given waypoints.
+         * Every waypoint is an object containing x and y, which can also be given
+         * relative to the current position of the object, like {x: "+=100", y: 0}.
+         */
+        $.prototype.initialize = function(object, waypoints) {
+            IAVRA.ANIMATE.Tween.prototype.initialize.call(this, object);
+            this._waypoints = waypoints || [];
+            this._pathType = 'catmullRom';
+            this._axes = ['x', 'y'];
+            this._rotation = null;
+            this._constantSpeed = false;
+            this._segments = [];
+            this._lengths = [];
+        };
+
+        /**
+         * Sets the kind of curve to be used, which is the name of an entry in
+         * IAVRA.ANIMATE.paths. The default is "catmullRom".
+         */
+        $.prototype.path = function(type) {
+            if(!IAVRA.ANIMATE.paths.hasOwnProperty(type)) {
+                throw new Error('Unknown path type "' + type + '".');
+            }
+            this._pathType = type;
+            return this;
+        };
+
+        /**
+         * Sets the names of the properties, which will receive the x and y position.
+         * The default is "x" and "y".
+         */
+        $.prototype.axes = function(x, y) {
+            this._axes = [x, y];
+            return this;
+        };
+
+        /**
+         * Causes the object to be rotated along the tangent of the path. The rotation
+         * is written to the given property ("rotation" by default) and can be offset
+         * by a constant angle. Both are given in radians, unless degrees is set to
+         * true. Call with false to disable auto rotation again.
+         */
+        $.prototype.autoRotate = function(property, offset, degrees) {
+            this._rotation = (property === false) ? null : {
+                property: property || 'rotation', offset: parseFloat(offset) || 0, degrees: !!degrees
+            };
+            return this;
+        };
+
+        /**
+         * If set to true (or called without parameter), the object moves along the
+         * path with constant speed instead of spending the same time on every segment.
+         * Easing is applied on top of that.
+         */
+        $.prototype.constantSpeed = function(value) {
+            this._constantSpeed = (value === undefined) || !!value;
+            return this;
+        };
+
+        /**
+         * Start values can't be set on a path, since it's defined by its waypoints.
+         */
+        $.prototype.from = function() {
+            throw new Error('PathTween doesn\'t support from(), use waypoints instead.');
+        };
+
+        /**
+         * Start and end values can't be set on a path, since it's defined by its waypoints.
+         */
+        $.prototype.fromTo = function() {
+            throw new Error('PathTween doesn\'t support fromTo(), use waypoints instead.');
+        };
+
+        /**
+         * A path can't be redirected, since its relative waypoints would be resolved again against the current
+         * position.
+         */
+        $.prototype.retarget = function() {
+            throw new Error('PathTween doesn\'t support retarget().');
+        };
+
+        /**
+         * Resolves all waypoints, splits them into segments and measures the length
+         * of the path, which is needed for constant speed.
+         */
+        $.prototype._setupValues = function() {
+            var get = resolveFunction(this._valueGetCallback), object = this._object, axes = this._axes;
+            var current = axes.map(function(axis) { return parseFloat(get(object, axis)) || 0; });
+            var points = this._waypoints.map(function(waypoint) {
+                var value = (typeof waypoint === 'function') ? waypoint(object) : waypoint;
+                return {x: parseFloat(resolveRelative(value.x, current[0])), y: parseFloat(resolveRelative(value.y, current[1]))};
+            });
+            this._segments = IAVRA.ANIMATE.paths[this._pathType].segments(points);
+            var samples = this._segments.length * _samplesPerSegment, last = this._pointAt(0);
+            this._lengths = [0];
+            for(var i = 1; i <= samples; ++i) {
+                var point = this._pointAt(i / samples);
+                this._lengths.push(this._lengths[i - 1] + Math.sqrt(Math.pow(point.x - last.x, 2) + Math.pow(point.y - last.y, 2)));
+                last = point;
+            }
+        };
+
+        /**
+         * Moves the object to the position on the path, that matches the given progress
+         * and rotates it, if needed.
+         */
+        $.prototype._render = function(progress) {
+            var u = this._constantSpeed ? this._parameterAt(progress) : progress;
+            var point = this._pointAt(u), set = resolveFunction(this._valueSetCallback);
+            set(this._object, this._axes[0], point.x);
+            set(this._object, this._axes[1], point.y);
+            if(this._rotation) {
+                var before = this._pointAt(u - 0.001), after = this._pointAt(u + 0.001);
+                var angle = Math.atan2(after.y - before.y, after.x - before.x);
+                set(this._object, this._rotation.property, this._rotation.degrees ?
+                    angle * 180 / Math.PI + this._rotation.offset : angle + this._rotation.offset);
+            }
+        };
+
+        /**
+         * Returns the point at the given position on the whole path, ranging from 0 to
+         * 1. Values outside of this range extrapolate the first or last segment, which
+         * happens for easing functions like "back" or "elastic".
+         */
+        $.prototype._pointAt = function(u) {
+            var count = this._segments.length;
+            var index = Math.max(Math.min(Math.floor(u * count), count - 1), 0);
+            var segment = this._segments[index];
+            var weights = IAVRA.ANIMATE.paths[this._pathType].weights(u * count - index);
+            return segment.reduce(function(point, waypoint, i) {
+                point.x += waypoint.x * weights[i];
+                point.y += waypoint.y * weights[i];
+                return point;
+            }, {x: 0, y: 0});
+        };
+
+        /**
+         * Converts the given progress to the position on the path, at which the object
+         * has covered the same fraction of the path's length. Progress outside of the
+         * range from 0 to 1 is returned as it is.
+         */
+        $.prototype._parameterAt = function(progress) {
+            var lengths = this._lengths, samples = lengths.length - 1, total = lengths[samples];
+            if(progress <= 0 || progress >= 1 || !total) {
+                return progress;
+            }
+            var target = progress * total, low = 0, high = samples;
+            while(high - low > 1) {
+                var mid = (low + high) >> 1;
+                (lengths[mid] <= target) ? (low = mid) : (high = mid);
+            }
+            return (low + (target - lengths[low]) / ((lengths[high] - lengths[low]) || 1)) / samples;
+        };
+
+        /**
+         * Returns the names of all properties written by this tween.
+         */
+        $.prototype._properties = function() {
+            return this._rotation ? this._axes.concat(this._rotation.property) : this._axes.slice();
+        };
+
+        /**
+         * A path can't be split, so the tween can only continue, if none of its
+         * properties should be removed.
+         */
+        $.prototype._removeProperties = function(properties) {
+            return !this._properties().some(function(property) { return properties.indexOf(property) !== -1; });
+        };
+
+        return $;
+    })(function() { this.initialize.apply(this, arguments); });
+
+    //=============================================================================
+    // class IAVRA.ANIMATE.Timeline
+    //=============================================================================
+
+    IAVRA.ANIMATE.Timeline = (function($) {
+        ($.prototype = Object.create(IAVRA.ANIMATE.Animation.prototype)).constructor = $;
+
+        /**
+         * Matches positions given as "label", "+=10", "-=5" or "label+=10". The label part is optional, as is the
+         * relative offset, but at least one of them has to be present. Offsets can be fractional (like "+=1.5"),
+         * which is needed for timelines using milliseconds.
+         */
+        var _positionRegex = /^(.*?)(?:([+-])=(\d*\.?\d+))?$/;
+
+        /**
+         * Initializes a new timeline, which holds tweens (or other timelines) at fixed offsets and drives them on
+         * its own, instead of adding them to the module.
+         */
+        $.prototype.initialize = function() {
+            IAVRA.ANIMATE.Animation.prototype.initialize.call(this);
+            this._children = [];
+            this._labels = {};
+        };
+
+        /**
+         * Adds a tween or timeline at the given position, which can either be an absolute step, a label, a relative
+         * offset to the current end of the timeline ("+=10" or "-=5") or a label with a relative offset ("label+=10").
+         * If no position is given, the animation is appended to the end of the timeline. Please ensure not to call
+         * start() on the added objects, as this would cause them to be started twice.
+         */
+        $.prototype.add = function(animation, position) {
+            this._children.push({animation: animation, offset: this._resolvePosition(position), started: false, finished: false});
+            return this;
+        };
+
+        /**
+         * Registers a label at the given position, which can be used as a position for add() and addLabel(). If no
+         * position is given, the label marks the current end of the timeline.
+         */
+        $.prototype.addLabel = function(name, position) {
+            this._labels[name] = this._resolvePosition(position);
+            return this;
+        };
+
+        /**
+         * Resets all children (including killed ones), so they get started again when their offset is reached.
+         */
+        $.prototype._prepare = function() {
+            this._children.forEach(function(child) {
+                child.started = child.finished = child.animation._killed = false;
+            });
+            IAVRA.ANIMATE.Animation.prototype._prepare.call(this);
+        };
+
+        /**
+         * Children, that have only been prepared by seeking the timeline before it was started, are activated
+         * together with the timeline.
+         */
+        $.prototype._activate = function() {
+            this._children.forEach(function(child) {
+                if(child.started && !child.finished && child.animation._prepared) {
+                    child.animation._prepared = false;
+                    child.animation._activate();
+                }
+            });
+            IAVRA.ANIMATE.Animation.prototype._activate.call(this);
+        };
+
+        /**
+         * Stops the timeline, as well as every child that is currently being executed.
+         */
+        $.prototype.stop = function() {
+            this._children.forEach(function(child) {
+                if(child.started && !child.finished) {
+                    child.animation.stop();
+                }
+            });
+            return IAVRA.ANIMATE.Animation.prototype.stop.call(this);
+        };
+
+        /**
+         * Progresses the timeline by the elapsed time, starting all children whose offset has been reached and updating
+         * those that are currently running. The timeline's time scale is passed on to its children. The timeline
+         * completes once all children have completed.
+         */
+        $.prototype.update = function(elapsed) {
+            if(this._killed) {
+                return false;
+            }
+            var step = this._step(elapsed);
+            if(!this._running || (this._delay -= step) >= 0) {
+                return true;
+            }
+            elapsed || (elapsed = _defaultElapsed);
+            elapsed = {frames: elapsed.frames * this._timeScale, ms: elapsed.ms * this._timeScale};
+            var time = this._time;
+            this._time += step;
+            var complete = this._children.reduce(function(complete, child) {
+                if(!child.finished && child.animation._killed) {
+                    child.finished = true;
+                }
+                if(!child.finished) {
+                    if(!child.started) {
+                        if(child.offset > time) {
+                            return false;
+                        }
+                        child.started = true;
+                        child.animation._begin();
+                    }
+                    child.finished = !child.animation.update(elapsed);
+                }
+                return complete && child.finished;
+            }, true);
+            this._invoke(this._onUpdateCallback);
+            if(complete) {
+                this._complete();
+            }
+            return !complete;
+        };
+
+        /**
+         * A timeline needs the time until its last child has completed.
+         */
+        $.prototype.totalDuration = function() {
+            return this._endTime();
+        };
+
+        /**
+         * Jumps to the given position by seeking all children. Children, that haven't been reached, yet, are reset to
+         * their start values, starting with the last one. Afterwards, all other children are seeked in order, so the
+         * last child animating a property determines its value. Children, whose end is passed, are completed, so their
+         * callbacks, chained animations and promises aren't left waiting. If the timeline hasn't been started, its
+         * children are only prepared, so they don't affect other animations until the timeline is started.
+         */
+        $.prototype._seek = function(position) {
+            var children = this._children.slice().sort(function(a, b) { return a.offset - b.offset; });
+            var active = this._active;
+            children.slice().reverse().forEach(function(child) {
+                if(child.offset > position && child.started) {
+                    child.animation.seek(0);
+                    child.animation._prepared = false;
+                    child.started = child.finished = false;
+                }
+            });
+            children.forEach(function(child) {
+                if(child.offset > position) {
+                    return;
+                }
+                var animation = child.animation, local = position - child.offset - Math.max(animation._startDelay, 0);
+                if(!child.started) {
+                    child.started = true;
+                    animation._killed = false;
+                    if(active) {
+                        animation._begin();
+                    } else {
+                        animation._prepare();
+                        animation._prepared = true;
+                    }
+                }
+                animation.seek(Math.max(local, 0));
+                if(local < 0) {
+                    animation._delay = -local;
+                }
+                var finished = (local >= animation.totalDuration());
+                if(finished && !child.finished) {
+                    animation._complete();
+                } else if(!finished && animation._completed) {
+                    animation._completed = false;
+                    if(active) {
+                        animation._active = true;
+                    } else {
+                        animation._prepared = true;
+                    }
+                }
+                child.finished = finished;
+            });
+            IAVRA.ANIMATE.Animation.prototype._seek.call(this, position);
+        };
+
+        /**
+         * Returns the step at which the last child of this timeline completes.
+         */
+        $.prototype._endTime = function() {
+            return this._children.reduce(function(end, child) {
+                return Math.max(end, child.offset + child.animation._totalDuration());
+            }, 0);
+        };
+
+        /**
+         * Converts the given position to an absolute step on this timeline. Throws an error if an unknown label is
+         * referenced.
+         */
+        $.prototype._resolvePosition = function(position) {
+            if(position === undefined) {
+                return this._endTime();
+            }
+            if(typeof position === 'number') {
+                return Math.max(position, 0);
+            }
+            var match = _positionRegex.exec(String(position));
+            var label = match[1], base;
+            if(label === '') {
+                base = this._endTime();
+            } else if(this._labels.hasOwnProperty(label)) {
+                base = this._labels[label];
+            } else {
+                throw new Error('Unknown label "' + label + '".');
+            }
+            var offset = match[2] === undefined ? 0 : parseFloat(match[3]) * (match[2] === '-' ? -1 : 1);
+            return Math.max(base + offset, 0);
+        };
+
+        /**
+         * Children, that couldn't be restored, are removed from the timeline.
+         */
+        $.prototype._restore = function() {
+            this._children = this._children.filter(function(child) { return child.animation !== undefined; });
+            return IAVRA.ANIMATE.Animation.prototype._restore.call(this);
+        };
+
+        /**
+         * Returns all children, that haven't finished, yet.
+         */
+        $.prototype._pendingChildren = function() {
+            return this._children.filter(function(child) {
+                return !child.finished;
+            }).map(function(child) { return child.animation; });
+        };
+
+        /**
+         * Callbacks registered on a timeline receive the timeline itself, since there is no animated object.
+         */
+        $.prototype._callbackTarget = function() {
+            return this;
+        };
+
+        return $;
+    })(function() { this.initialize.apply(this, arguments); });
+
+    //=============================================================================
+    // class IAVRA.ANIMATE.Spring
+    //=============================================================================
+
+    IAVRA.ANIMATE.Spring = (function($) {
+        ($.prototype = Object.create(IAVRA.ANIMATE.Animation.prototype)).constructor = $;
+
+        /**
+         * Initializes a new spring, which pulls the given numeric properties of the object towards their target
+         * values. Instead of a duration, its movement is defined by stiffness, damping and mass. The spring completes
+         * on its own, once all properties have come to rest.
+         */
+        $.prototype.initialize = function(object, target) {
+            IAVRA.ANIMATE.Animation.prototype.initialize.call(this);
+            this._object = object;
+            this._valuesTarget = copyValues(target);
+            this._velocity = {};
+            this._stiffness = 100;
+            this._damping = 10;
+            this._mass = 1;
+            this._precision = 0.01;
+
+            this._valueGetCallback = IAVRA.ANIMATE.defaultCallbacks.propertyGet;
+            this._valueSetCallback = IAVRA.ANIMATE.defaultCallbacks.propertySet;
+        };
+
+        /**
+         * Remembers the manager, so the spring can be restarted on it, when it gets a new target after coming to rest.
+         */
+        $.prototype.start = function(manager) {
+            this._manager = manager;
+            return IAVRA.ANIMATE.Animation.prototype.start.call(this, manager);
+        };
+
+        /**
+         * Sets the stiffness of the spring. Higher values cause faster movement. The default value is 100.
+         */
+        $.prototype.stiffness = function(value) {
+            this._stiffness = parseFloat(value);
+            return this;
+        };
+
+        /**
+         * Sets the damping of the spring. Lower values cause the object to overshoot and bounce around its target.
+         * The default value is 10.
+         */
+        $.prototype.damping = function(value) {
+            this._damping = parseFloat(value);
+            return this;
+        };
+
+        /**
+         * Sets the mass of the animated object. Heavier objects react slower. The default value is 1.
+         */
+        $.prototype.mass = function(value) {
+            if((this._mass = parseFloat(value)) <= 0) {
+                throw new Error('Mass has to be higher than 0.');
+            }
+            return this;
+        };
+
+        /**
+         * Sets the distance from its target (and velocity), below which a property is considered to be at rest. The
+         * default value is 0.01.
+         */
+        $.prototype.precision = function(value) {
+            this._precision = parseFloat(value);
+            return this;
+        };
+
+        /**
+         * Sets the velocity of the given properties in units per second, for example to continue a drag movement.
+         */
+        $.prototype.velocity = function(properties) {
+            for(var property in properties) {
+                this._velocity[property] = parseFloat(properties[property]) || 0;
+            }
+            return this;
+        };
+
+        /**
+         * Changes the target values of the given properties, while keeping the current velocity, so the object turns
+         * around smoothly. If the spring has already come to rest, it's started again.
+         */
+        $.prototype.setTarget = function(target) {
+            for(var property in target) {
+                this._valuesTarget[property] = target[property];
+            }
+            if(this._completed && !this._active) {
+                this.start(this._manager);
+            }
+            return this;
+        };
+
+        /**
+         * Works like the function with the same name on tweens.
+         */
+        $.prototype.access = function(getCallback, setCallback) {
+            this._valueGetCallback = getCallback;
+            this._valueSetCallback = setCallback;
+            return this;
+        };
+
+        /**
+         * Moves all properties according to the forces acting on them. Properties are read from the object on every
+         * update, so they can be changed from outside (for example while being dragged). Returns false, once all
+         * properties have come to rest.
+         */
+        $.prototype.update = function(elapsed) {
+            if(this._killed) {
+                return false;
+            }
+            var step = this._step(elapsed);
+            if(!this._running || (this._delay -= step) >= 0) {
+                return true;
+            }
+            this._time += step;
+            var seconds = this._useMilliseconds ? step / 1000 : step / 60;
+            var count = Math.ceil(seconds / _maxPhysicsStep), dt = seconds / (count || 1);
+            var get = resolveFunction(this._valueGetCallback), set = resolveFunction(this._valueSetCallback);
+            var rest = true;
+            for(var property in this._valuesTarget) {
+                var target = parseFloat(this._valuesTarget[property]) || 0;
+                var value = parseFloat(get(this._object, property)) || 0;
+                var velocity = this._velocity[property] || 0;
+                for(var i = 0; i < count; ++i) {
+                    velocity += (-this._stiffness * (value - target) - this._damping * velocity) / this._mass * dt;
+                    value += velocity * dt;
+                }
+                if(Math.abs(value - target) < this._precision && Math.abs(velocity) < this._precision) {
+                    value = target;
+                    velocity = 0;
+                } else {
+                    rest = false;
+                }
+                this._velocity[property] = velocity;
+                set(this._object, property, value);
+            }
+            this._invoke(this._onUpdateCallback);
+            if(rest) {
+                this._complete();
+            }
+            return !rest;
+        };
+
+        /**
+         * Removes the given properties, so they won't be animated any longer. Returns true, if the spring still
+         * contains at least one property.
+         */
+        $.prototype._removeProperties = function(properties) {
+            properties.forEach(function(property) {
+                delete this._valuesTarget[property];
+                delete this._velocity[property];
+            }, this);
+            return Object.keys(this._valuesTarget).length > 0;
+        };
+
+        /**
+         * A spring can only be restored, if its animated object could be resolved.
+         */
+        $.prototype._restore = function() {
+            return IAVRA.ANIMATE.Animation.prototype._restore.call(this) && this._object !== undefined;
+        };
+
+        return $;
+    })(function() { this.initialize.apply(this, arguments); });
+
+    //=============================================================================
+    // class IAVRA.ANIMATE.Inertia
+    //=============================================================================
+
+    IAVRA.ANIMATE.Inertia = (function($) {
+        ($.prototype = Object.create(IAVRA.ANIMATE.Animation.prototype)).constructor = $;
+
+        /**
+         * Initializes a new inertia animation, which moves the given numeric properties of the object with the given
+         * velocities (in units per second), which decay over time. The animation completes on its own, once all
+         * properties have come to rest.
+         */
+        $.prototype.initialize = function(object, velocity) {
+            IAVRA.ANIMATE.Animation.prototype.initialize.call(this);
+            this._object = object;
+            this._velocity = {};
+            this._decay = 0.95;
+            this._precision = 0.01;
+
+            this._valueGetCallback = IAVRA.ANIMATE.defaultCallbacks.propertyGet;
+            this._valueSetCallback = IAVRA.ANIMATE.defaultCallbacks.propertySet;
+
+            this.velocity(velocity || {});
+        };
+
+        /**
+         * Remembers the manager, so the animation can be restarted on it, when it gets a new velocity or target after
+         * coming to rest.
+         */
+        $.prototype.start = function(manager) {
+            this._manager = manager;
+            return IAVRA.ANIMATE.Animation.prototype.start.call(this, manager);
+        };
+
+        /**
+         * Sets the factor, by which the velocity gets multiplied every frame (at 60 frames per second). Has to be
+         * higher than 0 and lower than 1. The default value is 0.95.
+         */
+        $.prototype.decay = function(value) {
+            if((this._decay = parseFloat(value)) <= 0 || this._decay >= 1) {
+                throw new Error('Decay has to be higher than 0 and lower than 1.');
+            }
+            return this;
+        };
+
+        /**
+         * Sets the remaining distance, below which a property is considered to be at rest. The default value is 0.01.
+         */
+        $.prototype.precision = function(value) {
+            this._precision = parseFloat(value);
+            return this;
+        };
+
+        /**
+         * Sets the velocity of the given properties in units per second. If the animation has already come to rest,
+         * it's started again.
+         */
+        $.prototype.velocity = function(properties) {
+            for(var property in properties) {
+                this._velocity[property] = parseFloat(properties[property]) || 0;
+            }
+            return this._wake();
+        };
+
+        /**
+         * Changes the velocity of the given properties, so they come to rest exactly at the given target values. This
+         * can be used to snap a scrolling list to its nearest item. Works like velocity() otherwise.
+         */
+        $.prototype.setTarget = function(target) {
+            var get = resolveFunction(this._valueGetCallback);
+            for(var property in target) {
+                var value = parseFloat(get(this._object, property)) || 0;
+                this._velocity[property] = ((parseFloat(target[property]) || 0) - value) * this._rate();
+            }
+            return this._wake();
+        };
+
+        /**
+         * Works like the function with the same name on tweens.
+         */
+        $.prototype.access = function(getCallback, setCallback) {
+            this._valueGetCallback = getCallback;
+            this._valueSetCallback = setCallback;
+            return this;
+        };
+
+        /**
+         * Moves all properties according to their velocity, which decays over time. Returns false, once all
+         * properties have come to rest.
+         */
+        $.prototype.update = function(elapsed) {
+            if(this._killed) {
+                return false;
+            }
+            var step = this._step(elapsed);
+            if(!this._running || (this._delay -= step) >= 0) {
+                return true;
+            }
+            this._time += step;
+            var seconds = this._useMilliseconds ? step / 1000 : step / 60;
+            var rate = this._rate(), factor = Math.exp(-rate * seconds);
+            var get = resolveFunction(this._valueGetCallback), set = resolveFunction(this._valueSetCallback);
+            var rest = true;
+            for(var property in this._velocity) {
+                var velocity = this._velocity[property];
+                var value = (parseFloat(get(this._object, property)) || 0) + velocity * (1 - factor) / rate;
+                velocity *= factor;
+                if(Math.abs(velocity / rate) < this._precision) {
+                    value += velocity / rate;
+                    velocity = 0;
+                } else {
+                    rest = false;
+                }
+                this._velocity[property] = velocity;
+                set(this._object, property, value);
+            }
+            this._invoke(this._onUpdateCallback);
+            if(rest) {
+                this._complete();
+            }
+            return !rest;
+        };
+
+        /**
+         * Returns the rate (per second), at which the velocity decays.
+         */
+        $.prototype._rate = function() {
+            return -Math.log(this._decay) * 60;
+        };
+
+        /**
+         * Restarts this animation, if it has already come to rest.
+         */
+        $.prototype._wake = function() {
+            if(this._completed && !this._active) {
+                this.start(this._manager);
+            }
+            return this;
+        };
+
+        /**
+         * Removes the given properties, so they won't be animated any longer. Returns true, if the animation still
+         * contains at least one property.
+         */
+        $.prototype._removeProperties = function(properties) {
+            properties.forEach(function(property) {
+                delete this._velocity[property];
+            }, this);
+            return Object.keys(this._velocity).length > 0;
+        };
+
+        /**
+         * An inertia animation can only be restored, if its animated object could be resolved.
+         */
+        $.prototype._restore = function() {
+            return IAVRA.ANIMATE.Animation.prototype._restore.call(this) && this._object !== undefined;
+        };
+
+        return $;
+    })(function() { this.initialize.apply(this, arguments); });
+
+    //=============================================================================
+    // class IAVRA.ANIMATE.Manager
+    //=============================================================================
+
+    IAVRA.ANIMATE.Manager = (function($) {
+
+        /**
+         * Initializes a new manager, which drives its own list of animations. Every manager is updated by
+         * IAVRA.ANIMATE.update(), until it gets disposed. Animations are added to a manager by passing it to their
+         * start() function.
+         */
+        $.prototype.initialize = function() {
+            this._animations = [];
+            this._paused = false;
+            this._disposed = false;
+            _managers.push(this);
+        };
+
+        /**
+         * Pauses all animations of this manager until resume() is called.
+         */
+        $.prototype.pause = function() {
+            this._paused = true;
+            return this;
+        };
+
+        /**
+         * Resumes all animations of this manager, after it has been pause()-d.
+         */
+        $.prototype.resume = function() {
+            this._paused = false;
+            return this;
+        };
+
+        /**
+         * Returns true, if this manager has been pause()-d.
+         */
+        $.prototype.isPaused = function() {
+            return this._paused;
+        };
+
+        /**
+         * Returns all animations currently running on this manager.
+         */
+        $.prototype.getAnimations = function() {
+            return this._animations.slice();
+        };
+
+        /**
+         * Stops all animations of this manager without triggering any callbacks or starting chained animations.
+         */
+        $.prototype.clear = function() {
+            this._animations.slice().forEach(function(animation) {
+                animation._kill();
+            });
+            return this;
+        };
+
+        /**
+         * Clears this manager and removes it from the module, so it won't be updated anymore. The global manager
+         * can't be disposed.
+         */
+        $.prototype.dispose = function() {
+            if(this === _globalManager) {
+                throw new Error('The global manager can\'t be disposed.');
+            }
+            this.clear();
+            this._disposed = true;
+            var index = _managers.indexOf(this);
+            if(index !== -1) {
+                _managers.splice(index, 1);
+            }
+        };
+
+        /**
+         * Updates all animations of this manager, unless it's paused, deleting those whose update()-function returns
+         * false. Since overwrites and kills can remove animations during the update, we iterate over a copy of the
+         * list and skip animations, that have been killed in the meantime.
+         */
+        $.prototype.update = function(elapsed) {
+            if(this._paused) {
+                return;
+            }
+            var animations = this._animations;
+            animations.slice().forEach(function(animation) {
+                if(animation._killed || animations.indexOf(animation) === -1) {
+                    return;
+                }
+                if(!animation.update(elapsed)) {
+                    var index = animations.indexOf(animation);
+                    if(index !== -1) {
+                        animations.splice(index, 1);
+                    }
+                }
+            });
+        };
+
+        return $;
+    })(function() { this.initialize.apply(this, arguments); });
+
+    _globalManager = new IAVRA.ANIMATE.Manager();
+
+    //=============================================================================
+    // module IAVRA.EASING
+    //=============================================================================
+    
+    IAVRA.EASING = (function($) {
+        
+        /**
+        * Linear (no) easing. Other functions can be provided, but the script only ships
+        * with this one to not bloat it with functions.
+        */
+        $.linear = function(k) {
+            return k;
+        }
+        
+        return $;
+    })(IAVRA.EASING || {});
     
+    //=============================================================================
+    // class Game_System
+    //=============================================================================
+
     /**
-     * Defining a new property that will be used to store currently executing tweens.
+     * Kept for plugins, that access the running tweens through $gameSystem. Returns the animations of the global
+     * manager, which are only stored in the savefile, if "Enable Persistence" is set.
      */
     Object.defineProperty(Game_System.prototype, 'iavra_animate_tweens', {
         get: function() {
-            this._iavra_animate_tweens || (this._iavra_animate_tweens = []);
-            return this._iavra_animate_tweens;
+            return getTweens();
         }
     });
-    
+
+    if(params.enablePersistence) {
+        (function($) {
+
+            /**
+             * Before saving, all running tweens are serialized to the savefile.
+             */
+            var _alias_onBeforeSave = $.prototype.onBeforeSave;
+            $.prototype.onBeforeSave = function() {
+                _alias_onBeforeSave.apply(this, arguments);
+                this._iavra_animate_tweens = serialize(getTweens());
+            };
+
+            /**
+             * After loading, all running tweens are replaced with those stored in the
+             * savefile. Tweens, whose animated objects can't be found anymore, are dropped,
+             * as well as those stored by older versions of this plugin, which can't be
+             * restored, since they lost their class and callbacks when being saved.
+             */
+            var _alias_onAfterLoad = $.prototype.onAfterLoad;
+            $.prototype.onAfterLoad = function() {
+                _alias_onAfterLoad.apply(this, arguments);
+                IAVRA.ANIMATE.clear();
+                var tweens = deserialize(this._iavra_animate_tweens || []).filter(function(tween) {
+                    return tween instanceof IAVRA.ANIMATE.Animation;
+                });
+                Array.prototype.push.apply(getTweens(), tweens);
+                delete this._iavra_animate_tweens;
+            };
+
+        })(Game_System);
+
+        //=============================================================================
+        // module DataManager
+        //=============================================================================
+
+        (function($) {
+
+            /**
+             * Tweens from a previous game shouldn't be carried over to a new one.
+             */
+            var _alias_setupNewGame = $.setupNewGame;
+            $.setupNewGame = function() {
+                _alias_setupNewGame.apply(this, arguments);
+                IAVRA.ANIMATE.clear();
+            };
+
+        })(DataManager);
+    }
+
     //=============================================================================
     // class Scene_Base
     //=============================================================================
@@ -404,5 +2953,538 @@ var IAVRA = IAVRA || {};
         IAVRA.ANIMATE.update();
         _scene_base_update.call(this, arguments);
     };
-    
+
+    (function($) {
+
+        /**
+         * Returns the manager bound to this scene, creating it if needed. Its animations are paused when another
+         * scene is pushed on top of this one and disposed, when the scene terminates.
+         */
+        $.prototype.animationManager = function() {
+            return this._iavra_animate_manager || (this._iavra_animate_manager = new IAVRA.ANIMATE.Manager());
+        };
+
+        /**
+         * If we are returning to this scene, the manager of its previous instance is resumed. Windows, that are
+         * already open when the scene starts, play their opening transition.
+         */
+        var _alias_start = $.prototype.start;
+        $.prototype.start = function() {
+            _alias_start.apply(this, arguments);
+            if(this._iavra_animate_manager) {
+                this._iavra_animate_manager.resume();
+            }
+            (this._windowLayer ? this._windowLayer.children : []).forEach(function(win) {
+                if(win instanceof Window_Base && win.isOpen() && win.windowTransition()) {
+                    win.playTransition(true);
+                }
+            });
+        };
+
+        /**
+         * Disposes the manager bound to this scene. Scenes, that have been pushed to the stack, have already handed
+         * their manager over to SceneManager, so it survives until we return to them.
+         */
+        var _alias_terminate = $.prototype.terminate;
+        $.prototype.terminate = function() {
+            _alias_terminate.apply(this, arguments);
+            if(this._iavra_animate_manager) {
+                this._iavra_animate_manager.dispose();
+                delete this._iavra_animate_manager;
+            }
+        };
+
+    })(Scene_Base);
+
+    //=============================================================================
+    // class Scene_Boot
+    //=============================================================================
+
+    (function($) {
+
+        /**
+         * Window classes might be defined by plugins loaded after this one, so the "Window Transitions" parameter is
+         * applied once all plugins have been loaded.
+         */
+        var _alias_start = $.prototype.start;
+        $.prototype.start = function() {
+            params.windowTransitions.forEach(function(entry) {
+                var match = /^(\w+)\s*:\s*(\S+)(.*)$/.exec(entry);
+                if(!match) {
+                    throw new Error('Invalid window transition "' + entry + '".');
+                }
+                var options = match[3].split(/\s+/).filter(function(token) { return !!token; }).reduce(function(map, token) {
+                    if(/^\d+$/.test(token)) {
+                        map.duration = parseInt(token);
+                    } else if(['left', 'right', 'top', 'bottom'].indexOf(token) !== -1) {
+                        map.direction = token;
+                    } else {
+                        map.easing = token;
+                    }
+                    return map;
+                }, {});
+                IAVRA.ANIMATE.setWindowTransition(eval(match[1]), match[2] === 'none' ? null : match[2], options);
+            });
+            _alias_start.apply(this, arguments);
+        };
+
+    })(Scene_Boot);
+
+    //=============================================================================
+    // class Window_Base
+    //=============================================================================
+
+    (function($) {
+
+        /**
+         * Returns the easing to be used by the given transition config. Preset easings are given by name and fall
+         * back to linear easing, if they can't be found (because the easing library isn't loaded).
+         */
+        var transitionEasing = function(config) {
+            if(config.easing !== undefined) {
+                return config.easing;
+            }
+            var easing = IAVRA.ANIMATE.transitions[config.preset].easing;
+            try {
+                return resolveFunction(easing);
+            } catch(e) {
+                return IAVRA.EASING.linear;
+            }
+        };
+
+        /**
+         * Returns the transition config of this window, which is inherited from the closest window class, that has
+         * one set. Returns null, if the window doesn't use transitions.
+         */
+        $.prototype.windowTransition = function() {
+            return this._iavra_animate_windowTransition || null;
+        };
+
+        /**
+         * Plays the opening (if open is true) or closing transition of this window. Instead of changing the window's
+         * openness, a tween is used to move its visibility between 0 and 1, which is then applied by the preset. A
+         * transition, that is currently running, is turned around at its current position. The tween is updated by
+         * the window itself, so it pauses and ends together with the window.
+         */
+        $.prototype.playTransition = function(open) {
+            var config = this.windowTransition(), state = this._iavra_animate_transition;
+            if(!config) {
+                return;
+            }
+            if(!state) {
+                state = this._iavra_animate_transition = {
+                    config: config,
+                    base: {x: this.x, y: this.y, alpha: this.alpha, scaleX: this.scale.x, scaleY: this.scale.y},
+                    visibility: {value: open ? 0 : 1}
+                };
+            }
+            var current = state.visibility.value, target = open ? 1 : 0;
+            var duration = Math.max(Math.round(state.config.duration * Math.abs(target - current)), 1);
+            state.open = open;
+            state.tween = new IAVRA.ANIMATE.Tween(state.visibility).overwrite('none').useMilliseconds(false)
+                .easing(transitionEasing(state.config)).duration(duration);
+            if(open) {
+                state.tween.fromTo({value: current}, {value: 1});
+            } else {
+                state.tween.fromTo({value: 0}, {value: current}).reverse();
+            }
+            state.tween._begin();
+            this._opening = open;
+            this._closing = !open;
+            this.openness = 255;
+            IAVRA.ANIMATE.transitions[state.config.preset].apply(this, current, state.base, state.config);
+        };
+
+        /**
+         * Progresses the running transition. Once it completes, the window is either fully open or closed, in which
+         * case its original position, scale and alpha are restored, so it can be opened again.
+         */
+        $.prototype.updateTransition = function() {
+            var state = this._iavra_animate_transition;
+            var running = state.tween.update();
+            IAVRA.ANIMATE.transitions[state.config.preset].apply(this, state.visibility.value, state.base, state.config);
+            if(running) {
+                return;
+            }
+            this._iavra_animate_transition = null;
+            if(state.open) {
+                this._opening = false;
+            } else {
+                this.x = state.base.x;
+                this.y = state.base.y;
+                this.alpha = state.base.alpha;
+                this.scale.x = state.base.scaleX;
+                this.scale.y = state.base.scaleY;
+                this.openness = 0;
+                this._closing = false;
+            }
+        };
+
+        /**
+         * If this window uses a transition, it's played instead of changing the openness.
+         */
+        var _alias_open = $.prototype.open;
+        $.prototype.open = function() {
+            var closing = !!this._iavra_animate_transition && !this._iavra_animate_transition.open;
+            _alias_open.apply(this, arguments);
+            if((this._opening || closing) && this.windowTransition()) {
+                this.playTransition(true);
+            }
+        };
+
+        /**
+         * If this window uses a transition, it's played instead of changing the openness.
+         */
+        var _alias_close = $.prototype.close;
+        $.prototype.close = function() {
+            _alias_close.apply(this, arguments);
+            if(this._closing && this.windowTransition()) {
+                this.playTransition(false);
+            }
+        };
+
+        /**
+         * While a transition is running, it replaces the default opening animation.
+         */
+        var _alias_updateOpen = $.prototype.updateOpen;
+        $.prototype.updateOpen = function() {
+            if(this._iavra_animate_transition) {
+                this.updateTransition();
+            } else {
+                _alias_updateOpen.apply(this, arguments);
+            }
+        };
+
+        /**
+         * While a transition is running, it replaces the default closing animation.
+         */
+        var _alias_updateClose = $.prototype.updateClose;
+        $.prototype.updateClose = function() {
+            if(!this._iavra_animate_transition) {
+                _alias_updateClose.apply(this, arguments);
+            }
+        };
+
+    })(Window_Base);
+
+    //=============================================================================
+    // module SceneManager
+    //=============================================================================
+
+    (function($) {
+
+        /**
+         * Contains the paused managers of all scenes on the stack, so they can be handed to the new scene instance
+         * once we return to them.
+         */
+        var _managerStack = [];
+
+        /**
+         * Before pushing a new scene, the manager of the current scene is paused and stored.
+         */
+        var _alias_push = $.push;
+        $.push = function(sceneClass) {
+            var scene = this._scene, manager = scene ? scene._iavra_animate_manager : undefined;
+            if(manager) {
+                manager.pause();
+                delete scene._iavra_animate_manager;
+            }
+            _managerStack.push(manager || null);
+            _alias_push.apply(this, arguments);
+        };
+
+        /**
+         * When returning to a previous scene, its manager is handed to the newly created scene instance, which
+         * resumes it on start.
+         */
+        var _alias_pop = $.pop;
+        $.pop = function() {
+            var manager = _managerStack.pop();
+            _alias_pop.apply(this, arguments);
+            if(manager) {
+                this._nextScene ? (this._nextScene._iavra_animate_manager = manager) : manager.dispose();
+            }
+        };
+
+        /**
+         * Clearing the stack disposes the managers of all scenes, that have been on it.
+         */
+        var _alias_clearStack = $.clearStack;
+        $.clearStack = function() {
+            _alias_clearStack.apply(this, arguments);
+            _managerStack.splice(0, _managerStack.length).forEach(function(manager) {
+                if(manager) {
+                    manager.dispose();
+                }
+            });
+        };
+
+    })(SceneManager);
+
+    //=============================================================================
+    // class Game_CharacterBase
+    //=============================================================================
+
+    /**
+     * Characters are animated on their real coordinates, while their logical ones (_x and _y) are set to the tile
+     * they end up on. All other properties are handled by the default callbacks.
+     */
+    var _characterProperties = {x: '_realX', y: '_realY'};
+
+    /**
+     * Returns true, if the given character's position is currently being animated via the character callbacks.
+     */
+    var isMovedByTween = function(character) {
+        return IAVRA.ANIMATE.getTweensOf(character).some(function(tween) {
+            return tween._valueSetCallback === 'character.set' && typeof tween._properties === 'function' &&
+                tween._properties().some(function(property) { return _characterProperties.hasOwnProperty(property); });
+        });
+    };
+
+    (function($) {
+
+        /**
+         * While a tween moves a character, it takes care of the real coordinates, so the character doesn't walk
+         * towards its logical position on its own.
+         */
+        var _alias_updateMove = $.prototype.updateMove;
+        $.prototype.updateMove = function() {
+            if(!isMovedByTween(this)) {
+                _alias_updateMove.apply(this, arguments);
+            }
+        };
+
+    })(Game_CharacterBase);
+
+    //=============================================================================
+    // class Game_Interpreter
+    //=============================================================================
+
+    (function($) {
+
+        /**
+         * Callbacks used to animate characters, which map x and y to their real coordinates.
+         */
+        IAVRA.ANIMATE.registerCallback('character.get', function(object, property) {
+            var key = _characterProperties[property];
+            return key ? object[key] : IAVRA.ANIMATE.defaultCallbacks.propertyGet(object, property);
+        });
+        IAVRA.ANIMATE.registerCallback('character.set', function(object, property, value) {
+            var key = _characterProperties[property];
+            key ? (object[key] = value) : IAVRA.ANIMATE.defaultCallbacks.propertySet(object, property, value);
+        });
+
+        /**
+         * Callbacks used to animate pictures. A picture's tone is null until it has been tinted, so we start from a
+         * neutral tone, instead.
+         */
+        IAVRA.ANIMATE.registerCallback('picture.get', function(object, property) {
+            if(property === '_tone' && !object._tone) {
+                return [0, 0, 0, 0];
+            }
+            return IAVRA.ANIMATE.defaultCallbacks.propertyGet(object, property);
+        });
+        IAVRA.ANIMATE.registerCallback('picture.set', function(object, property, value) {
+            IAVRA.ANIMATE.defaultCallbacks.propertySet(object, property, value);
+        });
+
+        /**
+         * Rounds the end values of x and y to the nearest tile and moves the character's logical position there, as
+         * soon as the tween has started. That way, pos(), passability and event triggers keep working while the
+         * tween runs and the character ends up on the tile grid, once it completes.
+         */
+        var snapToTile = function(character, tween) {
+            Object.keys(_characterProperties).forEach(function(property) {
+                if(tween._valuesTarget.hasOwnProperty(property)) {
+                    var tile = tween._valuesTarget[property] = Math.round(tween._valuesTarget[property]);
+                    character['_' + property] = tile;
+                }
+            });
+        };
+
+        /**
+         * Targets, that can be used with the plugin command. Every target defines how many arguments it takes, how
+         * to find the game object to animate, the names under which its properties can be given and, optionally, the
+         * callbacks used to access them. We always animate game objects instead of sprites, since sprites get
+         * recreated whenever a scene changes.
+         */
+        var _character = {x: 'x', y: 'y', opacity: '_opacity'};
+        var _commandTargets = {
+            picture: {
+                args: 1,
+                resolve: function(interpreter, args) { return $gameScreen.picture(parseInt(args[0])); },
+                properties: {x: '_x', y: '_y', scaleX: '_scaleX', scaleY: '_scaleY', opacity: '_opacity', angle: '_angle', tone: '_tone'},
+                access: ['picture.get', 'picture.set']
+            },
+            event: {
+                args: 1,
+                resolve: function(interpreter, args) { return $gameMap.event(args[0] === 'this' ? interpreter.eventId() : parseInt(args[0])); },
+                properties: _character,
+                access: ['character.get', 'character.set']
+            },
+            player: {
+                args: 0,
+                resolve: function(interpreter, args) { return $gamePlayer; },
+                properties: _character,
+                access: ['character.get', 'character.set']
+            },
+            follower: {
+                args: 1,
+                resolve: function(interpreter, args) { return $gamePlayer.followers().follower(parseInt(args[0]) - 1); },
+                properties: _character,
+                access: ['character.get', 'character.set']
+            },
+            vehicle: {
+                args: 1,
+                resolve: function(interpreter, args) { return $gameMap.vehicle(args[0]); },
+                properties: _character,
+                access: ['character.get', 'character.set']
+            },
+            screen: {
+                args: 0,
+                resolve: function(interpreter, args) { return $gameScreen; },
+                properties: {zoom: '_zoomScale', zoomX: '_zoomX', zoomY: '_zoomY', tone: '_tone', brightness: '_brightness'}
+            }
+        };
+
+        /**
+         * Values are parsed as JSON, so numbers and arrays of numbers (like tones) can be given directly. Relative
+         * values ("+=" or "-=") have to be followed by a number and are returned as they are. Everything else causes
+         * an error, so a missing value doesn't end up as NaN on the animated object.
+         */
+        var parseValue = function(key, value) {
+            var relative = /^[+-]=/.test(value), parsed;
+            try {
+                parsed = JSON.parse(relative ? value.slice(2) : value);
+            } catch(e) {
+                parsed = undefined;
+            }
+            var valid = (typeof parsed === 'number') || (!relative && Array.isArray(parsed) &&
+                parsed.every(function(n) { return typeof n === 'number'; }));
+            if(!valid) {
+                throw new Error('Invalid value "' + value + '" for "' + key + '".');
+            }
+            return relative ? value : parsed;
+        };
+
+        /**
+         * Parses the arguments of an "Animate" plugin command and starts the resulting tween. The first arguments
+         * specify the target, followed by pairs of property names and values. The keywords "duration", "delay",
+         * "easing", "tag" and "overwrite" can be used to configure the tween, while "wait" causes the interpreter to
+         * wait for it. Relative values ("+=" or "-=") are passed as they are and resolved by the tween. Values and the
+         * easing are checked right away, so a typo causes an error even if the target doesn't exist at the moment.
+         */
+        var animate = function(interpreter, args) {
+            var target = _commandTargets[args.shift()];
+            if(!target) {
+                return;
+            }
+            var targetArgs = args.splice(0, target.args);
+            var properties = {}, options = {duration: 1, delay: 0, easing: 'linear', tag: null, overwrite: null}, wait = false;
+            while(args.length) {
+                var key = args.shift();
+                if(key === 'wait') {
+                    wait = true;
+                    continue;
+                }
+                var value = args.shift();
+                if(value === undefined) {
+                    throw new Error('Missing value for "' + key + '".');
+                }
+                if(options.hasOwnProperty(key)) {
+                    if((key === 'duration' || key === 'delay') && typeof parseValue(key, value) !== 'number') {
+                        throw new Error('Invalid value "' + value + '" for "' + key + '".');
+                    }
+                    options[key] = value;
+                    continue;
+                }
+                if(value === '+=' || value === '-=') {
+                    value += (args.length ? args.shift() : '');
+                }
+                properties[target.properties[key] || key] = parseValue(key, value);
+            }
+            try {
+                resolveFunction(options.easing);
+            } catch(e) {
+                throw new Error('Unknown easing "' + options.easing + '".');
+            }
+            var object = target.resolve(interpreter, targetArgs);
+            if(!object) {
+                return;
+            }
+            var tween = new IAVRA.ANIMATE.Tween(object, properties).duration(options.duration).delay(options.delay).easing(options.easing);
+            if(target.access) {
+                tween.access(target.access[0], target.access[1]);
+            }
+            if(options.tag !== null) {
+                tween.tag(options.tag);
+            }
+            if(options.overwrite !== null) {
+                tween.overwrite(options.overwrite);
+            }
+            tween.start();
+            if(target.access && target.access[1] === 'character.set') {
+                snapToTile(object, tween);
+            }
+            if(wait) {
+                interpreter.waitForTween(tween);
+            }
+        };
+
+        /**
+         * Causes the interpreter to wait until the given tween or timeline has completed. If no tween is given, it
+         * waits until all running animations have completed. We only store the tween's id, since the interpreter is
+         * part of the savefile.
+         */
+        $.prototype.waitForTween = function(tween) {
+            this._iavra_animate_wait = tween ? tween._id : null;
+            this.setWaitMode('iavra_animate');
+        };
+
+        /**
+         * Causes the interpreter to wait until all tweens and timelines with the given tag have completed.
+         */
+        $.prototype.waitForTag = function(tag) {
+            this._iavra_animate_wait = String(tag);
+            this.setWaitMode('iavra_animate');
+        };
+
+        /**
+         * Our wait mode continues until the animation we are waiting for is no longer running.
+         */
+        var _alias_updateWaitMode = $.prototype.updateWaitMode;
+        $.prototype.updateWaitMode = function() {
+            if(this._waitMode === 'iavra_animate') {
+                var id = this._iavra_animate_wait === null ? undefined : this._iavra_animate_wait;
+                if(IAVRA.ANIMATE.isAnimating(id)) {
+                    return true;
+                }
+                this._waitMode = '';
+                delete this._iavra_animate_wait;
+            }
+            return _alias_updateWaitMode.apply(this, arguments);
+        };
+
+        /**
+         * When our plugin command is called, we pass all arguments to animate(), which takes care of the rest.
+         */
+        var _alias_pluginCommand = $.prototype.pluginCommand;
+        $.prototype.pluginCommand = function(command, args) {
+            _alias_pluginCommand.apply(this, arguments);
+            if(command === 'Animate') {
+                switch(args[0]) {
+                    case 'wait':
+                        args[1] === undefined ? this.waitForTween() : this.waitForTag(args[1]);
+                        break;
+                    case 'kill':
+                        IAVRA.ANIMATE.killTweensByTag(args[1]);
+                        break;
+                    default:
+                        animate(this, args.slice());
+                }
+            }
+        };
+
+    })(Game_Interpreter);
+
 })();
@@ -7,6 +7,14 @@
  * <Iavra Easing Library>
  * @author Iavra
  *
+ * @param Curve File
+ * @desc JSON file containing keyframe curves, which are loaded at startup. Leave empty to disable. Default: (empty)
+ * @default
+ *
+ * @param Preview Key
+ * @desc Key code, that opens the easing preview on the map during playtest. Leave empty to disable. Default: 118 (F7)
+ * @default 118
+ *
  * @help
  * Each function takes a single parameter k, which is defined as t/d or "current animation step" /
  * "total animation duration".
@@ -56,6 +64,106 @@
  *     in:    http://easings.net/en#easeInBounce
  *     out:   http://easings.net/en#easeOutBounce
  *     inOut: http://easings.net/en#easeInOutBounce
+ *
+ * Additionally, the following functions can be used to create new easing functions:
+ *
+ * cubicBezier(x1, y1, x2, y2)
+ *     Works like the CSS function cubic-bezier(), so values from web mockups can be used as they are. The x
+ *     values have to be between 0 and 1, while the y values can be outside of this range to overshoot.
+ *     Example: IAVRA.EASING.cubicBezier(0.17, 0.67, 0.83, 0.67)
+ * steps(count, position)
+ *     Works like the CSS function steps() and divides the animation into the given number of equal steps.
+ *     Position is either "end" (default), which jumps at the end of every step, or "start", which jumps at its
+ *     beginning. Example: IAVRA.EASING.steps(4, 'start')
+ *
+ * elastic.config(amplitude, period)
+ *     Creates in, out and inOut functions like those of elastic with the given amplitude (default: 1) and period
+ *     (default: 0.4). Example: IAVRA.EASING.elastic.config(1.5, 0.3).out
+ * back.config(overshoot)
+ *     Creates in, out and inOut functions like those of back with the given overshoot (default: 1.70158).
+ *     Example: IAVRA.EASING.back.config(3).out
+ *
+ * Created functions aren't part of this library, so they can't be given by name, unless they are registered:
+ *
+ * register(name, fn)
+ *     Registers the given easing function under the given name, so it can be looked up via get().
+ *     Example: IAVRA.EASING.register('wobble', IAVRA.EASING.elastic.config(1.5, 0.3).out)
+ *
+ * To look up easing functions by name (for example in plugin commands, notetags or JSON files), use:
+ *
+ * get(name)
+ *     Returns the easing function with the given name and throws an error, if there is none. Accepts registered names,
+ *     paths like "quad.inOut", the common aliases like "easeInOutQuad" or "easeOutExpo", "linear" and the CSS
+ *     notations "cubic-bezier(x1, y1, x2, y2)" and "steps(count, position)". Functions are returned as they are.
+ *     Factories (like "steps" or "elastic.config") and the functions of this library (like "register") aren't
+ *     easing functions and can't be looked up.
+ * has(name)
+ *     Returns true, if get() would return an easing function for the given name.
+ * nameOf(fn)
+ *     Returns the name, under which the given function can be found via get() or undefined, if there is none.
+ * names()
+ *     Returns the names of all easing functions contained in this library, followed by all registered ones.
+ *
+ * derivative(fn)
+ *     Returns the derivative of the given function, which is its slope at k. Functions can provide an analytic
+ *     derivative as their "derivative" property, which is the case for linear, quad, cubic, quart, quint, sine,
+ *     back and cubicBezier(). All others are derived numerically. Example: IAVRA.EASING.derivative('quad.out')(0)
+ *
+ * The following functions combine existing easing functions into new ones. Wherever a function is expected, its
+ * name can be given, instead:
+ *
+ * mirror(fn)
+ *     Plays the function in the first half and mirrors it in the second, which turns an "in" function into an
+ *     "inOut" one. Example: IAVRA.EASING.mirror('quad.in')
+ * reverse(fn)
+ *     Plays the function backwards, which turns an "in" function into an "out" one and vice versa.
+ * yoyo(fn)
+ *     Plays the function in the first half and backwards in the second, so the animation returns to its start.
+ * piecewise(segments)
+ *     Combines multiple functions, each covering a part of the animation. Every segment is given as [end, fn]
+ *     or [end, fn, value], where end is the point (between 0 and 1) at which the segment ends and value is the
+ *     progress reached at that point, which defaults to end. Example:
+ *     IAVRA.EASING.piecewise([[0.5, 'quad.in'], [1, 'bounce.out']])
+ * blend(a, b, weight)
+ *     Blends 2 functions by the given weight between 0 (only a) and 1 (only b). The weight can also be given as
+ *     an easing function, which receives k, to crossfade from one function to the other.
+ *
+ * Custom timing curves can be created from keyframes, for example exported from an external curve editor:
+ *
+ * curve(keyframes, interpolation)
+ *     Creates a function passing through all keyframes, which are given as [x, y], [x, y, tangent],
+ *     [x, y, inTangent, outTangent] or objects containing x, y and optionally tangent or inTangent and
+ *     outTangent. Tangents are given as slope (dy / dx). Interpolation is either "hermite", which uses the given
+ *     tangents and calculates missing ones, or "monotone", which ignores them and calculates tangents, so the
+ *     curve never overshoots between 2 keyframes. By default, "hermite" is used if any tangent is given and
+ *     "monotone" otherwise. Example: IAVRA.EASING.curve([[0, 0], [0.3, 0.8], [1, 1]])
+ *
+ * Curves can also be loaded from the JSON file given in the "Curve File" parameter (for example
+ * "data/EasingCurves.json"), which is loaded at startup. Every curve is registered under its name and can be
+ * used like any other easing function. The file contains an object, where every curve is given either as a list
+ * of keyframes or as an object containing keyframes and interpolation:
+ *
+ * {
+ *     "snappy": [[0, 0], [0.2, 0.7], [1, 1]],
+ *     "wobble": {"interpolation": "hermite", "keyframes": [[0, 0, 0], [0.6, 1.1, 0], [1, 1, 0]]}
+ * }
+ *
+ * Move Picture, Tint Picture, Tint Screen and Set Movement Route are linear by default. To ease them, use the
+ * following plugin command or put \ease[name] in a comment, which both set the easing for the next of these
+ * commands executed by the same event:
+ *
+ * Easing name
+ *
+ * Where name is anything accepted by get(), for example "Easing back.out" or "\ease[easeOutBounce]". For movement
+ * routes, every step of the route is eased. The easing is stored on the picture, screen or character, so it
+ * survives saving and loading.
+ *
+ * During playtest, the easing preview can be opened by pressing the key given in the "Preview Key" parameter
+ * (F7 by default) on the map or by calling SceneManager.push(Scene_EasingPreview) in a script. It lists all
+ * easing functions, plots the selected one as a curve and animates a sample sprite with it. Functions, that don't
+ * start at 0 or end at 1, are marked in red. Use up and down to select a function and OK to change the duration
+ * and the parameters of configurable functions (cubicBezier, steps, elastic.config and back.config) with left and
+ * right. The code needed to create the configured function is shown below the parameters.
  */
 
 var Imported = Imported || {};
@@ -73,6 +181,44 @@ var IAVRA = IAVRA || {};
 
 IAVRA.EASING = (function($) {
 	
+	/**
+	 * Easing functions registered via register().
+	 */
+	var _registry = {};
+	
+	/**
+	 * Functions created from CSS notations, so they don't need to be created again on every lookup.
+	 */
+	var _cssCache = {};
+	
+	/**
+	 * Names used by the common aliases (like "easeInOutExpo"), which differ from the ones used by this library.
+	 */
+	var _aliases = {expo: 'exp', quadratic: 'quad', quartic: 'quart', quintic: 'quint', sinusoidal: 'sine', circular: 'circ'};
+	
+	/**
+	 * Returns the easing function at the given path, which is either "linear" or a family followed by its type (like
+	 * "quad.inOut"), if any. Everything else contained in this module, like factories (steps or elastic.config) and
+	 * other functions (like register), isn't an easing function and results in undefined.
+	 */
+	var resolvePath = function(path) {
+		if (path === 'linear') {
+			return $.linear;
+		}
+		var keys = path.split('.'), family = $.hasOwnProperty(keys[0]) ? $[keys[0]] : undefined;
+		if (keys.length !== 2 || keys[1] === 'config' || !family || typeof family !== 'object') {
+			return undefined;
+		}
+		return (family.hasOwnProperty(keys[1]) && typeof family[keys[1]] === 'function') ? family[keys[1]] : undefined;
+	};
+	
+	/**
+	 * Linear (no) easing. Iavra Animate Everything ships the same function, so we only add it, if it's missing.
+	 */
+	$.linear = $.linear || function(k) {
+		return k;
+	};
+	
 	/**
 	 * Quadratic
 	 */
@@ -203,90 +349,157 @@ IAVRA.EASING = (function($) {
 	};
 	
 	/**
-	 * Elastic
+	 * Elastic. Since amplitude and period can be configured, the functions are created by a factory. Amplitudes lower
+	 * than 1 are raised to 1, since the curve wouldn't reach its end value otherwise.
 	 */
-	$.elastic = {
-		in: function(k) {
-			var s;
-			var a = 0.1;
-			var p = 0.4;
-
-			if (k === 0.0) {
-				return 0;
-			}
-			if (k === 1.0) {
-				return 1;
-			}
-			if (!a || a < 1) {
-				a = 1;
-				s = p / 4;
-			} else {
-				s = p * Math.asin(1 / a) / (2 * Math.PI);
-			}
-			return - (a * Math.pow(2, 10 * (k -= 1)) * Math.sin((k - s) * (2 * Math.PI) / p));
-		},
-		out: function(k) {
-			var s;
-			var a = 0.1;
-			var p = 0.4;
-
-			if (k === 0.0) {
-				return 0;
-			}
-			if (k === 1.0) {
-				return 1;
-			}
-			if (!a || a < 1) {
-				a = 1;
-				s = p / 4;
-			} else {
-				s = p * Math.asin(1 / a) / (2 * Math.PI);
-			}
-			return (a * Math.pow(2, - 10 * k) * Math.sin((k - s) * (2 * Math.PI) / p) + 1);
-		},
-		inOut: function(k) {
-			var s;
-			var a = 0.1;
-			var p = 0.4;
-
-			if (k === 0.0) {
-				return 0;
-			}
-			if (k === 1.0) {
-				return 1;
+	var elastic = function(amplitude, period) {
+		var a = amplitude;
+		var p = period;
+		var s;
+		
+		if (!a || a < 1) {
+			a = 1;
+			s = p / 4;
+		} else {
+			s = p * Math.asin(1 / a) / (2 * Math.PI);
+		}
+		return {
+			in: function(k) {
+				if (k === 0.0) {
+					return 0;
+				}
+				if (k === 1.0) {
+					return 1;
+				}
+				return - (a * Math.pow(2, 10 * (k -= 1)) * Math.sin((k - s) * (2 * Math.PI) / p));
+			},
+			out: function(k) {
+				if (k === 0.0) {
+					return 0;
+				}
+				if (k === 1.0) {
+					return 1;
+				}
+				return (a * Math.pow(2, - 10 * k) * Math.sin((k - s) * (2 * Math.PI) / p) + 1);
+			},
+			inOut: function(k) {
+				if (k === 0.0) {
+					return 0;
+				}
+				if (k === 1.0) {
+					return 1;
+				}
+				if ((k *= 2) < 1) {
+					return - 0.5 * (a * Math.pow(2, 10 * (k -= 1)) * Math.sin((k - s) * (2 * Math.PI) / p));
+				}
+				return a * Math.pow(2, -10 * (k -= 1)) * Math.sin((k - s) * (2 * Math.PI) / p) * 0.5 + 1;
 			}
-			if (!a || a < 1) {
-				a = 1;
-				s = p / 4;
-			} else {
-				s = p * Math.asin(1 / a) / (2 * Math.PI);
+		};
+	};
+	$.elastic = elastic(0.1, 0.4);
+	
+	/**
+	 * Creates elastic functions with the given amplitude (default 1) and period (default 0.4).
+	 */
+	$.elastic.config = function(amplitude, period) {
+		return elastic(amplitude === undefined ? 1 : parseFloat(amplitude), period === undefined ? 0.4 : parseFloat(period));
+	};
+	
+	/**
+	 * Back. Since the overshoot can be configured, the functions are created by a factory.
+	 */
+	var back = function(overshoot) {
+		var result = {
+			in: function(k) {
+				var s = overshoot;
+				return k * k * ((s + 1) * k - s);
+			},
+			out: function(k) {
+				var s = overshoot;
+				return --k * k * ((s + 1) * k + s) + 1;
+			},
+			inOut: function(k) {
+				var s = overshoot * 1.525;
+				if ((k *= 2) < 1) {
+					return 0.5 * (k * k * ((s + 1) * k - s));
+				}
+				return 0.5 * ((k -= 2) * k * ((s + 1) * k + s) + 2);
 			}
+		};
+		result.in.derivative = function(k) {
+			var s = overshoot;
+			return 3 * (s + 1) * k * k - 2 * s * k;
+		};
+		result.out.derivative = function(k) {
+			var s = overshoot;
+			return 3 * (s + 1) * --k * k + 2 * s * k;
+		};
+		result.inOut.derivative = function(k) {
+			var s = overshoot * 1.525;
 			if ((k *= 2) < 1) {
-				return - 0.5 * (a * Math.pow(2, 10 * (k -= 1)) * Math.sin((k - s) * (2 * Math.PI) / p));
+				return 3 * (s + 1) * k * k - 2 * s * k;
 			}
-			return a * Math.pow(2, -10 * (k -= 1)) * Math.sin((k - s) * (2 * Math.PI) / p) * 0.5 + 1;
-		}
+			return 3 * (s + 1) * (k -= 2) * k + 2 * s * k;
+		};
+		return result;
 	};
+	$.back = back(1.70158);
 	
 	/**
-	 * Back
+	 * Creates back functions with the given overshoot (default 1.70158). Higher values cause a bigger overshoot, while
+	 * 0 removes it completely.
 	 */
-	$.back = {
-		in: function(k) {
-			var s = 1.70158;
-			return k * k * ((s + 1) * k - s);
-		},
-		out: function(k) {
-			var s = 1.70158;
-			return --k * k * ((s + 1) * k + s) + 1;
-		},
-		inOut: function(k) {
-			var s = 1.70158 * 1.525;
-			if ((k *= 2) < 1) {
-				return 0.5 * (k * k * ((s + 1) * k - s));
-			}
-			return 0.5 * ((k -= 2) * k * ((s + 1) * k + s) + 2);
-		}
+	$.back.config = function(overshoot) {
+		return back(overshoot === undefined ? 1.70158 : parseFloat(overshoot));
+	};
+	
+	/**
+	 * Analytic derivatives, which are used by derivative() instead of deriving the functions numerically.
+	 */
+	$.linear.derivative = $.linear.derivative || function(k) {
+		return 1;
+	};
+	$.quad.in.derivative = function(k) {
+		return 2 * k;
+	};
+	$.quad.out.derivative = function(k) {
+		return 2 - 2 * k;
+	};
+	$.quad.inOut.derivative = function(k) {
+		return k < 0.5 ? 4 * k : 4 - 4 * k;
+	};
+	$.cubic.in.derivative = $.cubic.out.derivative = function(k) {
+		return 3 * k * k;
+	};
+	$.cubic.inOut.derivative = function(k) {
+		return k < 0.5 ? 12 * k * k : 12 * (k - 1) * (k - 1);
+	};
+	$.quart.in.derivative = function(k) {
+		return 4 * k * k * k;
+	};
+	$.quart.out.derivative = function(k) {
+		return - 4 * (k - 1) * (k - 1) * (k - 1);
+	};
+	$.quart.inOut.derivative = function(k) {
+		return k < 0.5 ? 32 * k * k * k : - 32 * (k - 1) * (k - 1) * (k - 1);
+	};
+	$.quint.in.derivative = function(k) {
+		return 5 * k * k * k * k;
+	};
+	$.quint.out.derivative = function(k) {
+		return 5 * (k - 1) * (k - 1) * (k - 1) * (k - 1);
+	};
+	$.quint.inOut.derivative = function(k) {
+		return k < 0.5 ? 80 * k * k * k * k : 80 * (k - 1) * (k - 1) * (k - 1) * (k - 1);
+	};
+	$.sine.in.derivative = function(k) {
+		return Math.PI / 2 * Math.sin(k * Math.PI / 2);
+	};
+	$.sine.out.derivative = function(k) {
+		return Math.PI / 2 * Math.cos(k * Math.PI / 2);
+	};
+	$.sine.inOut.derivative = function(k) {
+		return Math.PI / 2 * Math.sin(Math.PI * k);
 	};
 	
 	/**
@@ -315,5 +528,1153 @@ IAVRA.EASING = (function($) {
 		}
 	};
 	
+	/**
+	 * Cubic bezier curve from (0, 0) to (1, 1) with the control points (x1, y1) and (x2, y2), like the CSS function
+	 * cubic-bezier(). Since the curve is defined by a parameter t, the t belonging to k is solved for with Newton's
+	 * method first, falling back to bisection if it doesn't converge.
+	 */
+	$.cubicBezier = function(x1, y1, x2, y2) {
+		if (!(x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1)) {
+			throw new Error('The x values of a cubic bezier curve have to be between 0 and 1.');
+		}
+		if (x1 === y1 && x2 === y2) {
+			return function(k) {
+				return k;
+			};
+		}
+		var cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+		var cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+		var sampleX = function(t) {
+			return ((ax * t + bx) * t + cx) * t;
+		};
+		var sampleY = function(t) {
+			return ((ay * t + by) * t + cy) * t;
+		};
+		var solveT = function(k) {
+			var t = k, i, error, slope;
+			for (i = 0; i < 8; i++) {
+				error = sampleX(t) - k;
+				if (Math.abs(error) < 1e-7) {
+					return t;
+				}
+				slope = (3 * ax * t + 2 * bx) * t + cx;
+				if (Math.abs(slope) < 1e-6) {
+					break;
+				}
+				t -= error / slope;
+			}
+			var low = 0, high = 1;
+			t = k;
+			for (i = 0; i < 50 && high - low > 1e-7; i++) {
+				(sampleX(t) < k) ? (low = t) : (high = t);
+				t = (low + high) / 2;
+			}
+			return t;
+		};
+		var fn = function(k) {
+			if (k <= 0.0) {
+				return 0;
+			}
+			if (k >= 1.0) {
+				return 1;
+			}
+			return sampleY(solveT(k));
+		};
+		fn.derivative = function(k) {
+			var t = (k <= 0.0) ? 0 : (k >= 1.0) ? 1 : solveT(k);
+			var slope = (3 * ax * t + 2 * bx) * t + cx;
+			return Math.abs(slope) < 1e-6 ? 0 : ((3 * ay * t + 2 * by) * t + cy) / slope;
+		};
+		return fn;
+	};
+	
+	/**
+	 * Divides the animation into the given number of equal steps, like the CSS function steps(). With position "end"
+	 * (default), every step jumps at its end, with "start" at its beginning, so the first step is already reached at 0.
+	 */
+	$.steps = function(count, position) {
+		if ((count = parseInt(count)) < 1 || isNaN(count)) {
+			throw new Error('Steps have to be higher than 0.');
+		}
+		var jump = (position === 'start') ? 1 : 0;
+		return function(k) {
+			return Math.min(Math.floor(Math.min(Math.max(k, 0), 1) * count) + jump, count) / count;
+		};
+	};
+	
+	/**
+	 * Registers an easing function under the given name, so it can be looked up via get().
+	 */
+	$.register = function(name, fn) {
+		if (typeof fn !== 'function') {
+			throw new Error('Easing "' + name + '" has to be a function.');
+		}
+		return _registry[name] = fn;
+	};
+	
+	/**
+	 * Returns the names of all easing functions contained in this library, followed by all registered ones. Factories
+	 * like elastic.config aren't contained.
+	 */
+	$.names = function() {
+		var names = [];
+		Object.keys($).forEach(function(key) {
+			if (key === 'linear') {
+				names.push(key);
+			} else if ($[key] && typeof $[key] === 'object') {
+				Object.keys($[key]).forEach(function(type) {
+					if (type !== 'config' && typeof $[key][type] === 'function') {
+						names.push(key + '.' + type);
+					}
+				});
+			}
+		});
+		return names.concat(Object.keys(_registry));
+	};
+	
+	/**
+	 * Returns the easing function with the given name, which is either a registered name, a path (like "quad.inOut"),
+	 * an alias (like "easeInOutQuad") or a CSS notation (like "cubic-bezier(0.17, 0.67, 0.83, 0.67)" or
+	 * "steps(4, start)"). Returns undefined, if no function could be found.
+	 */
+	var find = function(name) {
+		if (typeof name === 'function') {
+			return name;
+		}
+		if (typeof name !== 'string') {
+			return undefined;
+		}
+		name = name.trim();
+		if (_registry.hasOwnProperty(name)) {
+			return _registry[name];
+		}
+		if (_cssCache.hasOwnProperty(name)) {
+			return _cssCache[name];
+		}
+		var fn = resolvePath(name), match;
+		if (typeof fn === 'function') {
+			return fn;
+		}
+		if ((match = /^ease(InOut|In|Out)?([A-Za-z]+)$/.exec(name))) {
+			var family = match[2].toLowerCase();
+			family = _aliases[family] || family;
+			fn = resolvePath(match[1] ? family + '.' + match[1][0].toLowerCase() + match[1].slice(1) : family);
+		} else if ((match = /^cubic-?bezier\s*\(([^)]*)\)$/i.exec(name))) {
+			fn = _cssCache[name] = $.cubicBezier.apply($, match[1].split(',').map(parseFloat));
+		} else if ((match = /^steps\s*\(\s*(\d+)\s*(?:,\s*(start|end)\s*)?\)$/i.exec(name))) {
+			fn = _cssCache[name] = $.steps(match[1], match[2]);
+		}
+		return (typeof fn === 'function') ? fn : undefined;
+	};
+	
+	/**
+	 * Returns the easing function with the given name, throwing an error if none could be found. Accepts the same names
+	 * as find(), while functions are returned as they are. Used by all combinators, so they fail early.
+	 */
+	$.get = function(name) {
+		var fn = find(name);
+		if (fn === undefined) {
+			throw new Error('Unknown easing "' + name + '".');
+		}
+		return fn;
+	};
+	
+	/**
+	 * Returns true, if get() can find an easing function with the given name.
+	 */
+	$.has = function(name) {
+		return find(name) !== undefined;
+	};
+	
+	/**
+	 * Returns the name, under which the given function can be found via get(). Registered names are checked first,
+	 * followed by the functions contained in this library. Returns undefined, if the function is unknown.
+	 */
+	$.nameOf = function(fn) {
+		for (var name in _registry) {
+			if (_registry[name] === fn) {
+				return name;
+			}
+		}
+		for (name in _cssCache) {
+			if (_cssCache[name] === fn) {
+				return name;
+			}
+		}
+		return (function search(object, path) {
+			for (var key in object) {
+				if (object[key] === fn) {
+					return path + key;
+				}
+				if (object[key] && typeof object[key] === 'object') {
+					var result = search(object[key], path + key + '.');
+					if (result !== undefined) {
+						return result;
+					}
+				}
+			}
+		})($, '');
+	};
+	
+	/**
+	 * Returns the derivative of the given function. If the function doesn't provide an analytic derivative, it's
+	 * derived numerically using central differences, which fall back to one-sided ones at 0 and 1.
+	 */
+	$.derivative = function(fn) {
+		fn = $.get(fn);
+		if (typeof fn.derivative === 'function') {
+			return fn.derivative;
+		}
+		return function(k) {
+			var a = Math.max(k - 1e-4, 0), b = Math.min(k + 1e-4, 1);
+			return (fn(b) - fn(a)) / (b - a);
+		};
+	};
+	
+	/**
+	 * Plays the given function in the first half and mirrors it in the second, so an "in" function becomes "inOut".
+	 */
+	$.mirror = function(fn) {
+		fn = $.get(fn);
+		return function(k) {
+			if (k < 0.5) {
+				return fn(k * 2) * 0.5;
+			}
+			return 1 - fn(2 - k * 2) * 0.5;
+		};
+	};
+	
+	/**
+	 * Plays the given function backwards, so an "in" function becomes "out" and vice versa.
+	 */
+	$.reverse = function(fn) {
+		fn = $.get(fn);
+		return function(k) {
+			return 1 - fn(1 - k);
+		};
+	};
+	
+	/**
+	 * Plays the given function in the first half and backwards in the second, so the animation returns to its start.
+	 */
+	$.yoyo = function(fn) {
+		fn = $.get(fn);
+		return function(k) {
+			return fn(k < 0.5 ? k * 2 : 2 - k * 2);
+		};
+	};
+	
+	/**
+	 * Combines multiple functions, each covering a part of the animation. Segments are given as [end, fn] or
+	 * [end, fn, value], where value is the progress reached at the end of the segment and defaults to end.
+	 */
+	$.piecewise = function(segments) {
+		var start = 0, from = 0;
+		segments = segments.slice().sort(function(a, b) {
+			return a[0] - b[0];
+		}).map(function(segment) {
+			var end = parseFloat(segment[0]), to = segment[2] === undefined ? end : parseFloat(segment[2]);
+			var result = {start: start, end: end, from: from, to: to, fn: $.get(segment[1])};
+			start = end;
+			from = to;
+			return result;
+		});
+		if (!segments.length) {
+			throw new Error('Piecewise easing needs at least one segment.');
+		}
+		return function(k) {
+			var segment = segments.filter(function(s) { return k <= s.end; })[0] || segments[segments.length - 1];
+			var length = segment.end - segment.start;
+			var local = length > 0 ? (k - segment.start) / length : 1;
+			return segment.from + (segment.to - segment.from) * segment.fn(local);
+		};
+	};
+	
+	/**
+	 * Converts a keyframe given as array or object to an object containing x, y and the tangents, that have been given.
+	 */
+	var parseKeyframe = function(keyframe) {
+		var result;
+		if (Array.isArray(keyframe)) {
+			result = {x: keyframe[0], y: keyframe[1], inTangent: keyframe[2], outTangent: keyframe[keyframe.length > 3 ? 3 : 2]};
+		} else {
+			result = {x: keyframe.x, y: keyframe.y, inTangent: keyframe.inTangent, outTangent: keyframe.outTangent};
+			if (keyframe.tangent !== undefined) {
+				result.inTangent === undefined && (result.inTangent = keyframe.tangent);
+				result.outTangent === undefined && (result.outTangent = keyframe.tangent);
+			}
+		}
+		['x', 'y', 'inTangent', 'outTangent'].forEach(function(key) {
+			result[key] === undefined || (result[key] = parseFloat(result[key]));
+		});
+		return result;
+	};
+	
+	/**
+	 * Calculates the tangents of all keyframes. For hermite interpolation, missing tangents are set to the average
+	 * slope of the neighbouring segments. For monotone interpolation, the tangents are calculated with the method of
+	 * Fritsch and Carlson, which prevents the curve from overshooting between 2 keyframes.
+	 */
+	var calculateTangents = function(points, monotone) {
+		var slopes = [], i;
+		for (i = 0; i < points.length - 1; i++) {
+			slopes.push((points[i + 1].y - points[i].y) / (points[i + 1].x - points[i].x));
+		}
+		var tangents = points.map(function(point, i) {
+			if (i === 0) {
+				return slopes[0];
+			}
+			if (i === points.length - 1) {
+				return slopes[i - 1];
+			}
+			if (monotone && slopes[i - 1] * slopes[i] <= 0) {
+				return 0;
+			}
+			return (slopes[i - 1] + slopes[i]) / 2;
+		});
+		if (monotone) {
+			for (i = 0; i < slopes.length; i++) {
+				if (slopes[i] === 0) {
+					tangents[i] = tangents[i + 1] = 0;
+					continue;
+				}
+				var a = tangents[i] / slopes[i], b = tangents[i + 1] / slopes[i], sum = a * a + b * b;
+				if (sum > 9) {
+					var tau = 3 / Math.sqrt(sum);
+					tangents[i] = tau * a * slopes[i];
+					tangents[i + 1] = tau * b * slopes[i];
+				}
+			}
+		}
+		points.forEach(function(point, i) {
+			if (monotone || point.inTangent === undefined || isNaN(point.inTangent)) {
+				point.inTangent = tangents[i];
+			}
+			if (monotone || point.outTangent === undefined || isNaN(point.outTangent)) {
+				point.outTangent = tangents[i];
+			}
+		});
+	};
+	
+	/**
+	 * Creates an easing function passing through all given keyframes, which are connected by cubic hermite splines.
+	 * Interpolation is either "hermite" (use given tangents) or "monotone" (calculate tangents, that prevent
+	 * overshooting) and defaults to "hermite", if any tangent is given. Values of k outside of the curve return the
+	 * value of the first or last keyframe.
+	 */
+	$.curve = function(keyframes, interpolation) {
+		var points = (keyframes || []).map(parseKeyframe).sort(function(a, b) {
+			return a.x - b.x;
+		});
+		if (points.length < 2) {
+			throw new Error('A curve needs at least 2 keyframes.');
+		}
+		if (interpolation === undefined) {
+			interpolation = points.some(function(point) {
+				return point.inTangent !== undefined || point.outTangent !== undefined;
+			}) ? 'hermite' : 'monotone';
+		}
+		if (interpolation !== 'hermite' && interpolation !== 'monotone') {
+			throw new Error('Unknown curve interpolation "' + interpolation + '".');
+		}
+		calculateTangents(points, interpolation === 'monotone');
+		var last = points[points.length - 1];
+		return function(k) {
+			if (k <= points[0].x) {
+				return points[0].y;
+			}
+			if (k >= last.x) {
+				return last.y;
+			}
+			var i = 0;
+			while (k > points[i + 1].x) {
+				i++;
+			}
+			var p0 = points[i], p1 = points[i + 1], h = p1.x - p0.x, t = (k - p0.x) / h, t2 = t * t, t3 = t2 * t;
+			return (2 * t3 - 3 * t2 + 1) * p0.y + (t3 - 2 * t2 + t) * h * p0.outTangent +
+				(- 2 * t3 + 3 * t2) * p1.y + (t3 - t2) * h * p1.inTangent;
+		};
+	};
+	
+	/**
+	 * Blends 2 functions by the given weight, which is either a number between 0 and 1 or an easing function, that
+	 * receives k and returns the weight.
+	 */
+	$.blend = function(a, b, weight) {
+		a = $.get(a);
+		b = $.get(b);
+		var w = (typeof weight === 'number') ? function() { return weight; } : $.get(weight);
+		return function(k) {
+			var value = w(k);
+			return a(k) * (1 - value) + b(k) * value;
+		};
+	};
+	
     return $;
 })(IAVRA.EASING || {});
+
+//=============================================================================
+// class Scene_Boot
+//=============================================================================
+
+(function($) {
+	
+	/**
+	 * Since PluginManager.parameters() breaks when the plugin file is renamed, we are using our own solution.
+	 */
+	var _curveFile = ($plugins.filter(function(p) {
+		return p.description.indexOf('<Iavra Easing Library>') !== -1;
+	})[0].parameters['Curve File'] || '').trim();
+	
+	/**
+	 * Set to true, once the curve file has been loaded (or if there is none).
+	 */
+	var _curvesLoaded = !_curveFile;
+	
+	/**
+	 * Loads the curve file and registers every curve contained in it under its name.
+	 */
+	var loadCurves = function() {
+		var xhr = new XMLHttpRequest();
+		xhr.open('GET', _curveFile);
+		xhr.overrideMimeType('application/json');
+		xhr.onload = function() {
+			if (xhr.status >= 400) {
+				throw new Error("There was an error loading the file '" + _curveFile + "'.");
+			}
+			var data = JSON.parse(xhr.responseText);
+			Object.keys(data).forEach(function(name) {
+				var curve = Array.isArray(data[name]) ? {keyframes: data[name]} : data[name];
+				IAVRA.EASING.register(name, IAVRA.EASING.curve(curve.keyframes, curve.interpolation));
+			});
+			_curvesLoaded = true;
+		};
+		xhr.onerror = function() {
+			throw new Error("There was an error loading the file '" + _curveFile + "'.");
+		};
+		xhr.send();
+	};
+	
+	/**
+	 * Loading our curves on game startup.
+	 */
+	var _alias_create = $.prototype.create;
+	$.prototype.create = function() {
+		_curvesLoaded || loadCurves();
+		_alias_create.apply(this, arguments);
+	};
+	
+	/**
+	 * We wait for our curves to be loaded, so they can be used as soon as the game starts.
+	 */
+	var _alias_isReady = $.prototype.isReady;
+	$.prototype.isReady = function() {
+		return _curvesLoaded && _alias_isReady.apply(this, arguments);
+	};
+	
+})(Scene_Boot);
+
+//=============================================================================
+// Editor integration
+//=============================================================================
+
+(function() {
+	
+	/**
+	 * Returns the easing function with the given name. Unknown easings fall back to linear, so a renamed curve doesn't
+	 * break old saves.
+	 */
+	var easingOf = function(name) {
+		return IAVRA.EASING.has(name) ? IAVRA.EASING.get(name) : IAVRA.EASING.linear;
+	};
+	
+	/**
+	 * Returns the eased progress of an animation, which has been started with the given duration and has the given
+	 * number of steps remaining.
+	 */
+	var progress = function(easing, remaining) {
+		return easingOf(easing.name)((easing.duration - remaining + 1) / easing.duration);
+	};
+	
+	/**
+	 * Remembers the current tone of a picture or the screen, so it can be eased towards its target.
+	 */
+	var setToneEasing = function(object, name) {
+		object._iavra_easing_tone = {name: name, duration: object._toneDuration, tone: object._tone.slice()};
+	};
+	
+	/**
+	 * Eases the tone of a picture or the screen. Returns false, if the tone isn't eased and the default update
+	 * should be used, instead.
+	 */
+	var updateTone = function(object) {
+		var easing = object._iavra_easing_tone;
+		if (!easing || object._toneDuration <= 0) {
+			return false;
+		}
+		var k = progress(easing, object._toneDuration);
+		for (var i = 0; i < 4; ++i) {
+			object._tone[i] = easing.tone[i] + (object._toneTarget[i] - easing.tone[i]) * k;
+		}
+		if (--object._toneDuration <= 0) {
+			object._iavra_easing_tone = null;
+		}
+		return true;
+	};
+	
+	//=============================================================================
+	// class Game_Picture
+	//=============================================================================
+	
+	(function($) {
+		
+		/**
+		 * Properties changed by Move Picture, which are eased towards their targets.
+		 */
+		var _moveProperties = ['x', 'y', 'scaleX', 'scaleY', 'opacity'];
+		
+		/**
+		 * Eases the movement started by the last call to move().
+		 */
+		$.prototype.setMoveEasing = function(name) {
+			this._iavra_easing_move = _moveProperties.reduce(function(map, prop) {
+				map[prop] = this['_' + prop];
+				return map;
+			}.bind(this), {name: name, duration: this._duration});
+		};
+		
+		/**
+		 * Eases the tint started by the last call to tint().
+		 */
+		$.prototype.setToneEasing = function(name) {
+			setToneEasing(this, name);
+		};
+		
+		/**
+		 * A new movement is linear, unless setMoveEasing() is called afterwards.
+		 */
+		var _alias_move = $.prototype.move;
+		$.prototype.move = function() {
+			this._iavra_easing_move = null;
+			_alias_move.apply(this, arguments);
+		};
+		
+		/**
+		 * A new tint is linear, unless setToneEasing() is called afterwards.
+		 */
+		var _alias_tint = $.prototype.tint;
+		$.prototype.tint = function() {
+			this._iavra_easing_tone = null;
+			_alias_tint.apply(this, arguments);
+		};
+		
+		var _alias_updateMove = $.prototype.updateMove;
+		$.prototype.updateMove = function() {
+			var easing = this._iavra_easing_move;
+			if (!easing || this._duration <= 0) {
+				return _alias_updateMove.apply(this, arguments);
+			}
+			var k = progress(easing, this._duration);
+			_moveProperties.forEach(function(prop) {
+				var target = this['_target' + prop[0].toUpperCase() + prop.slice(1)];
+				this['_' + prop] = easing[prop] + (target - easing[prop]) * k;
+			}, this);
+			if (--this._duration <= 0) {
+				this._iavra_easing_move = null;
+			}
+		};
+		
+		var _alias_updateTone = $.prototype.updateTone;
+		$.prototype.updateTone = function() {
+			updateTone(this) || _alias_updateTone.apply(this, arguments);
+		};
+		
+	})(Game_Picture);
+	
+	//=============================================================================
+	// class Game_Screen
+	//=============================================================================
+	
+	(function($) {
+		
+		/**
+		 * Eases the tint started by the last call to startTint().
+		 */
+		$.prototype.setToneEasing = function(name) {
+			setToneEasing(this, name);
+		};
+		
+		/**
+		 * A new tint is linear, unless setToneEasing() is called afterwards.
+		 */
+		var _alias_startTint = $.prototype.startTint;
+		$.prototype.startTint = function() {
+			this._iavra_easing_tone = null;
+			_alias_startTint.apply(this, arguments);
+		};
+		
+		var _alias_updateTone = $.prototype.updateTone;
+		$.prototype.updateTone = function() {
+			updateTone(this) || _alias_updateTone.apply(this, arguments);
+		};
+		
+	})(Game_Screen);
+	
+	//=============================================================================
+	// class Game_CharacterBase
+	//=============================================================================
+	
+	(function($) {
+		
+		/**
+		 * Eases every step, until the easing is removed by calling this function without a name. A step, that is
+		 * currently in progress, continues from its current position.
+		 */
+		$.prototype.setMoveEasing = function(name) {
+			this._iavra_easing_move = name || null;
+			this._iavra_easing_step = null;
+		};
+		
+		/**
+		 * Every step is eased from the position it started at to the target tile. Since distancePerFrame() is given
+		 * in tiles, it's used to advance the progress of the current step.
+		 */
+		var _alias_updateMove = $.prototype.updateMove;
+		$.prototype.updateMove = function() {
+			if (!this._iavra_easing_move) {
+				return _alias_updateMove.apply(this, arguments);
+			}
+			var step = this._iavra_easing_step || (this._iavra_easing_step = {x: this._realX, y: this._realY, time: 0});
+			var distance = Math.max(Math.abs(this._x - step.x), Math.abs(this._y - step.y)) || 1;
+			step.time = Math.min(step.time + this.distancePerFrame() / distance, 1);
+			var k = easingOf(this._iavra_easing_move)(step.time);
+			this._realX = step.x + (this._x - step.x) * k;
+			this._realY = step.y + (this._y - step.y) * k;
+			if (step.time >= 1) {
+				this._realX = this._x;
+				this._realY = this._y;
+				this._iavra_easing_step = null;
+			}
+			if (!this.isMoving()) {
+				this.refreshBushDepth();
+			}
+		};
+		
+	})(Game_CharacterBase);
+	
+	//=============================================================================
+	// class Game_Character
+	//=============================================================================
+	
+	(function($) {
+		
+		/**
+		 * A new movement route is linear, unless setMoveEasing() is called afterwards.
+		 */
+		var _alias_forceMoveRoute = $.prototype.forceMoveRoute;
+		$.prototype.forceMoveRoute = function() {
+			this.setMoveEasing(null);
+			_alias_forceMoveRoute.apply(this, arguments);
+		};
+		
+		/**
+		 * Once a forced movement route has ended, the character returns to linear movement.
+		 */
+		var _alias_restoreMoveRoute = $.prototype.restoreMoveRoute;
+		$.prototype.restoreMoveRoute = function() {
+			_alias_restoreMoveRoute.apply(this, arguments);
+			this.setMoveEasing(null);
+		};
+		
+	})(Game_Character);
+	
+	//=============================================================================
+	// class Game_Interpreter
+	//=============================================================================
+	
+	(function($) {
+		
+		/**
+		 * Sets the easing for the next Move Picture, Tint Picture, Tint Screen or Set Movement Route command. Unknown
+		 * easings cause get() to throw an error, so typos are noticed right away.
+		 */
+		$.prototype.setEasing = function(name) {
+			IAVRA.EASING.get(name);
+			this._iavra_easing = name;
+		};
+		
+		/**
+		 * If an easing has been set, it's removed and passed to the given callback.
+		 */
+		$.prototype.applyEasing = function(callback) {
+			var name = this._iavra_easing;
+			if (name) {
+				this._iavra_easing = null;
+				callback(name);
+			}
+		};
+		
+		/**
+		 * Tint Screen
+		 */
+		var _alias_command223 = $.prototype.command223;
+		$.prototype.command223 = function() {
+			var result = _alias_command223.apply(this, arguments);
+			this.applyEasing(function(name) { $gameScreen.setToneEasing(name); });
+			return result;
+		};
+		
+		/**
+		 * Move Picture
+		 */
+		var _alias_command232 = $.prototype.command232;
+		$.prototype.command232 = function() {
+			var result = _alias_command232.apply(this, arguments), picture = $gameScreen.picture(this._params[0]);
+			this.applyEasing(function(name) { picture && picture.setMoveEasing(name); });
+			return result;
+		};
+		
+		/**
+		 * Tint Picture
+		 */
+		var _alias_command234 = $.prototype.command234;
+		$.prototype.command234 = function() {
+			var result = _alias_command234.apply(this, arguments), picture = $gameScreen.picture(this._params[0]);
+			this.applyEasing(function(name) { picture && picture.setToneEasing(name); });
+			return result;
+		};
+		
+		/**
+		 * Set Movement Route
+		 */
+		var _alias_command205 = $.prototype.command205;
+		$.prototype.command205 = function() {
+			var result = _alias_command205.apply(this, arguments), character = this._character;
+			this.applyEasing(function(name) { character && character.setMoveEasing(name); });
+			return result;
+		};
+		
+		/**
+		 * Comments containing \ease[name] set the easing for the next command.
+		 */
+		var _alias_command108 = $.prototype.command108;
+		$.prototype.command108 = function() {
+			var result = _alias_command108.apply(this, arguments);
+			var match = /\\ease\[([^\]]+)\]/i.exec(this._comments.join('\n'));
+			match && this.setEasing(match[1]);
+			return result;
+		};
+		
+		var _alias_pluginCommand = $.prototype.pluginCommand;
+		$.prototype.pluginCommand = function(command, args) {
+			_alias_pluginCommand.apply(this, arguments);
+			if (command === 'Easing') {
+				this.setEasing(args.join(' '));
+			}
+		};
+		
+	})(Game_Interpreter);
+	
+})();
+
+//=============================================================================
+// class Scene_EasingPreview
+//=============================================================================
+
+var Scene_EasingPreview;
+
+if (Utils.isOptionValid('test')) {
+	(function() {
+		
+		/**
+		 * Key code, that opens the preview on the map.
+		 */
+		var _previewKey = parseInt($plugins.filter(function(p) {
+			return p.description.indexOf('<Iavra Easing Library>') !== -1;
+		})[0].parameters['Preview Key']);
+		
+		/**
+		 * Width of the list window, next to which the curve is drawn.
+		 */
+		var _listWidth = 240;
+		
+		/**
+		 * Range of values shown by the graph, so overshooting curves are visible, too.
+		 */
+		var _graphRange = [-0.5, 1.5];
+		
+		/**
+		 * Parameters of configurable easing functions. Every parameter is either a number, that is changed by the
+		 * given step, or a list of options, that are cycled through. create() returns the configured function and
+		 * code() the script needed to create it.
+		 */
+		var _configurable = {
+			'cubicBezier': {
+				params: [
+					{name: 'x1', value: 0.25, step: 0.05, min: 0, max: 1},
+					{name: 'y1', value: 0.1, step: 0.05},
+					{name: 'x2', value: 0.25, step: 0.05, min: 0, max: 1},
+					{name: 'y2', value: 1, step: 0.05}
+				],
+				create: function(v) {
+					return IAVRA.EASING.cubicBezier(v.x1, v.y1, v.x2, v.y2);
+				},
+				code: function(v) {
+					return 'cubicBezier(' + [v.x1, v.y1, v.x2, v.y2].join(', ') + ')';
+				}
+			},
+			'steps': {
+				params: [
+					{name: 'count', value: 4, step: 1, min: 1},
+					{name: 'position', value: 'end', options: ['end', 'start']}
+				],
+				create: function(v) {
+					return IAVRA.EASING.steps(v.count, v.position);
+				},
+				code: function(v) {
+					return 'steps(' + v.count + ", '" + v.position + "')";
+				}
+			},
+			'elastic.config': {
+				params: [
+					{name: 'amplitude', value: 1, step: 0.1, min: 0},
+					{name: 'period', value: 0.4, step: 0.05, min: 0.05},
+					{name: 'type', value: 'out', options: ['in', 'out', 'inOut']}
+				],
+				create: function(v) {
+					return IAVRA.EASING.elastic.config(v.amplitude, v.period)[v.type];
+				},
+				code: function(v) {
+					return 'elastic.config(' + v.amplitude + ', ' + v.period + ').' + v.type;
+				}
+			},
+			'back.config': {
+				params: [
+					{name: 'overshoot', value: 1.7, step: 0.1},
+					{name: 'type', value: 'out', options: ['in', 'out', 'inOut']}
+				],
+				create: function(v) {
+					return IAVRA.EASING.back.config(v.overshoot)[v.type];
+				},
+				code: function(v) {
+					return 'back.config(' + v.overshoot + ').' + v.type;
+				}
+			}
+		};
+		
+		/**
+		 * Returns true, if the given function doesn't start at 0 or doesn't end at 1.
+		 */
+		var isInvalid = function(fn) {
+			return Math.abs(fn(0)) > 1e-6 || Math.abs(fn(1) - 1) > 1e-6;
+		};
+		
+		/**
+		 * Rounds the given number, so floating point errors don't show up in the parameter window.
+		 */
+		var round = function(value) {
+			return Math.round(value * 1000) / 1000;
+		};
+		
+		//=============================================================================
+		// class Window_EasingList
+		//=============================================================================
+		
+		/**
+		 * Lists all easing functions, marking those, that don't start at 0 or end at 1.
+		 */
+		var Window_EasingList = function() { this.initialize.apply(this, arguments); };
+		(function($) {
+			($.prototype = Object.create(Window_Selectable.prototype)).constructor = $;
+			
+			$.prototype.initialize = function(entries) {
+				this._entries = entries;
+				Window_Selectable.prototype.initialize.call(this, 0, 0, _listWidth, Graphics.boxHeight);
+				this.refresh();
+				this.select(0);
+				this.activate();
+			};
+			
+			$.prototype.maxItems = function() {
+				return this._entries.length;
+			};
+			
+			$.prototype.item = function() {
+				return this._entries[this.index()];
+			};
+			
+			$.prototype.drawItem = function(index) {
+				var entry = this._entries[index], rect = this.itemRectForText(index);
+				this.changeTextColor(isInvalid(entry.fn) ? this.textColor(18) : this.normalColor());
+				this.drawText(entry.label, rect.x, rect.y, rect.width);
+				this.resetTextColor();
+			};
+			
+		})(Window_EasingList);
+		
+		//=============================================================================
+		// class Window_EasingParams
+		//=============================================================================
+		
+		/**
+		 * Shows the duration and the parameters of the selected function, which can be changed with left and right,
+		 * as well as the code needed to create the configured function.
+		 */
+		var Window_EasingParams = function() { this.initialize.apply(this, arguments); };
+		(function($) {
+			($.prototype = Object.create(Window_Selectable.prototype)).constructor = $;
+			
+			$.prototype.initialize = function(duration) {
+				this._duration = duration;
+				this._entry = null;
+				var height = this.fittingHeight(6);
+				Window_Selectable.prototype.initialize.call(this, _listWidth, Graphics.boxHeight - height,
+					Graphics.boxWidth - _listWidth, height);
+			};
+			
+			$.prototype.setEntry = function(entry) {
+				this._entry = entry;
+				this.refresh();
+			};
+			
+			$.prototype.params = function() {
+				return [this._duration].concat(this._entry && this._entry.config ? this._entry.config.params : []);
+			};
+			
+			$.prototype.maxItems = function() {
+				return this.params().length;
+			};
+			
+			$.prototype.drawItem = function(index) {
+				var param = this.params()[index], rect = this.itemRectForText(index);
+				this.changeTextColor(this.systemColor());
+				this.drawText(param.name, rect.x, rect.y, rect.width / 2);
+				this.resetTextColor();
+				this.drawText(param.value, rect.x + rect.width / 2, rect.y, rect.width / 2, 'right');
+			};
+			
+			/**
+			 * Below the parameters, the code needed to create the function is shown.
+			 */
+			$.prototype.refresh = function() {
+				Window_Selectable.prototype.refresh.call(this);
+				if (this._entry) {
+					var rect = this.itemRectForText(5);
+					this.drawText('IAVRA.EASING.' + this._entry.code(), rect.x, rect.y, rect.width);
+				}
+			};
+			
+			$.prototype.cursorRight = function(wrap) {
+				this.changeValue(1);
+			};
+			
+			$.prototype.cursorLeft = function(wrap) {
+				this.changeValue(-1);
+			};
+			
+			/**
+			 * Changes the selected parameter in the given direction and notifies the scene.
+			 */
+			$.prototype.changeValue = function(direction) {
+				var param = this.params()[this.index()];
+				if (param.options) {
+					var index = param.options.indexOf(param.value) + direction;
+					param.value = param.options[(index + param.options.length) % param.options.length];
+				} else {
+					var value = round(param.value + param.step * direction);
+					param.value = Math.min(Math.max(value, param.min === undefined ? -Infinity : param.min),
+						param.max === undefined ? Infinity : param.max);
+				}
+				SoundManager.playCursor();
+				this.callHandler('change');
+				this.refresh();
+			};
+			
+		})(Window_EasingParams);
+		
+		//=============================================================================
+		// class Scene_EasingPreview
+		//=============================================================================
+		
+		/**
+		 * Plots the selected easing function and animates a sample sprite with it.
+		 */
+		Scene_EasingPreview = function() { this.initialize.apply(this, arguments); };
+		(function($) {
+			($.prototype = Object.create(Scene_MenuBase.prototype)).constructor = $;
+			
+			$.prototype.create = function() {
+				Scene_MenuBase.prototype.create.call(this);
+				this._time = 0;
+				this._duration = {name: 'duration', value: 60, step: 10, min: 10};
+				this.createListWindow();
+				this.createParamWindow();
+				this.createGraph();
+				this.refreshEasing();
+			};
+			
+			/**
+			 * Every entry contains its label, the current function and the code needed to create it. Configurable
+			 * functions get a copy of their parameters, so they can be changed independently.
+			 */
+			$.prototype.createEntries = function() {
+				var entries = IAVRA.EASING.names().map(function(name) {
+					var fn = IAVRA.EASING.get(name);
+					return {label: name, fn: fn, code: function() { return "get('" + name + "')"; }};
+				});
+				return entries.concat(Object.keys(_configurable).map(function(name) {
+					var config = _configurable[name];
+					var entry = {label: name + '(...)', config: {
+						params: config.params.map(function(param) {
+							return Object.keys(param).reduce(function(copy, key) { copy[key] = param[key]; return copy; }, {});
+						})
+					}};
+					entry.values = function() {
+						return entry.config.params.reduce(function(map, param) { map[param.name] = param.value; return map; }, {});
+					};
+					entry.update = function() { entry.fn = config.create(entry.values()); };
+					entry.code = function() { return config.code(entry.values()); };
+					entry.update();
+					return entry;
+				}));
+			};
+			
+			$.prototype.createListWindow = function() {
+				this._listWindow = new Window_EasingList(this.createEntries());
+				this._listWindow.setHandler('ok', this.onListOk.bind(this));
+				this._listWindow.setHandler('cancel', this.popScene.bind(this));
+				this.addWindow(this._listWindow);
+			};
+			
+			$.prototype.createParamWindow = function() {
+				this._paramWindow = new Window_EasingParams(this._duration);
+				this._paramWindow.setHandler('change', this.onParamChange.bind(this));
+				this._paramWindow.setHandler('cancel', this.onParamCancel.bind(this));
+				this.addWindow(this._paramWindow);
+			};
+			
+			/**
+			 * The graph fills the space above the parameter window, leaving room for the sample sprite below it.
+			 */
+			$.prototype.createGraph = function() {
+				var width = Graphics.boxWidth - _listWidth - 48;
+				var height = this._paramWindow.y - 96;
+				this._graph = new Sprite(new Bitmap(width, height));
+				this._graph.x = _listWidth + 24;
+				this._graph.y = 24;
+				this.addChild(this._graph);
+				this._marker = this.createDot(8, '#ffcc00');
+				this._sample = this.createDot(24, '#ffffff');
+				this._sample.y = this._graph.y + height + 36;
+			};
+			
+			$.prototype.createDot = function(size, color) {
+				var sprite = new Sprite(new Bitmap(size, size));
+				sprite.bitmap.drawCircle(size / 2, size / 2, size / 2, color);
+				sprite.anchor.x = sprite.anchor.y = 0.5;
+				this.addChild(sprite);
+				return sprite;
+			};
+			
+			$.prototype.onListOk = function() {
+				this._paramWindow.select(0);
+				this._paramWindow.activate();
+			};
+			
+			$.prototype.onParamChange = function() {
+				var entry = this._listWindow.item();
+				entry.update && entry.update();
+				this._listWindow.redrawCurrentItem();
+				this.refreshEasing();
+			};
+			
+			$.prototype.onParamCancel = function() {
+				this._paramWindow.deselect();
+				this._listWindow.activate();
+			};
+			
+			/**
+			 * Redraws the graph, whenever another function is selected or its parameters have changed.
+			 */
+			$.prototype.refreshEasing = function() {
+				this._entry = this._listWindow.item();
+				this._paramWindow.setEntry(this._entry);
+				this._time = 0;
+				this.drawGraph();
+			};
+			
+			/**
+			 * Returns the y coordinate on the graph for the given value.
+			 */
+			$.prototype.graphY = function(value) {
+				var height = this._graph.bitmap.height;
+				var y = height - (value - _graphRange[0]) / (_graphRange[1] - _graphRange[0]) * height;
+				return Math.min(Math.max(Math.round(y), 0), height - 2);
+			};
+			
+			/**
+			 * Draws the lines for 0 and 1, followed by the curve. Curves, that don't start at 0 or end at 1, get a
+			 * warning.
+			 */
+			$.prototype.drawGraph = function() {
+				var bitmap = this._graph.bitmap, fn = this._entry.fn, width = bitmap.width;
+				bitmap.clear();
+				bitmap.fillAll('rgba(0, 0, 0, 0.6)');
+				bitmap.fillRect(0, this.graphY(0), width, 1, '#808080');
+				bitmap.fillRect(0, this.graphY(1), width, 1, '#808080');
+				var last = this.graphY(fn(0));
+				for (var x = 0; x < width; x++) {
+					var y = this.graphY(fn(x / (width - 1)));
+					bitmap.fillRect(x, Math.min(last, y), 2, Math.abs(last - y) + 2, '#ffffff');
+					last = y;
+				}
+				if (isInvalid(fn)) {
+					bitmap.textColor = '#ff6060';
+					bitmap.drawText("Doesn't start at 0 or end at 1", 8, 4, width - 16, 28);
+					bitmap.textColor = '#ffffff';
+				}
+			};
+			
+			/**
+			 * Animates the marker on the graph and the sample sprite, pausing for a moment after every run.
+			 */
+			$.prototype.update = function() {
+				Scene_MenuBase.prototype.update.call(this);
+				if (this._listWindow.item() !== this._entry) {
+					this.refreshEasing();
+				}
+				var duration = this._duration.value;
+				this._time = (this._time + 1) % (duration + 30);
+				var k = Math.min(this._time / duration, 1), value = this._entry.fn(k), width = this._graph.bitmap.width;
+				this._marker.x = this._graph.x + k * (width - 1);
+				this._marker.y = this._graph.y + this.graphY(value);
+				this._sample.x = this._graph.x + value * (width - 1);
+			};
+			
+		})(Scene_EasingPreview);
+		
+		//=============================================================================
+		// class Scene_Map
+		//=============================================================================
+		
+		(function($) {
+			
+			if (!isNaN(_previewKey)) {
+				Input.keyMapper[_previewKey] = 'iavra_easing_preview';
+			}
+			
+			/**
+			 * Opens the preview, when its key is pressed.
+			 */
+			var _alias_update = $.prototype.update;
+			$.prototype.update = function() {
+				_alias_update.apply(this, arguments);
+				if (this.isActive() && !SceneManager.isSceneChanging() && Input.isTriggered('iavra_easing_preview')) {
+					SceneManager.push(Scene_EasingPreview);
+				}
+			};
+			
+		})(Scene_Map);
+		
+	})();
+}
@@ -49,16 +49,60 @@
  * @desc When one of these scenes becomes active, popups will be hidden, instead of destroyed. Default: Scene_Menu, Scene_Battle
  * @default Scene_Menu, Scene_Battle
  *
+ * @param Popup Style
+ * @desc Default style of popups. Either "default" (dim gradient) or "bubble" (speech bubble). Default: default
+ * @default default
+ *
+ * @param Bubble Image
+ * @desc Image in img/system used to draw speech bubbles. Needed for the "bubble" style. Default: (empty)
+ * @default
+ *
+ * @param Bubble Border
+ * @desc Size of the borders of the bubble image, which aren't stretched when drawing the bubble. Default: 12
+ * @default 12
+ *
+ * @param Tail Size
+ * @desc Height of the tail at the bottom of the bubble image. Default: 12
+ * @default 12
+ *
+ * @param Popup Policy
+ * @desc What happens, when a popup is shown on an event, that already has one. Either stack, queue or replace. Default: stack
+ * @default stack
+ *
+ * @param Max Per Event
+ * @desc Maximum number of stacked popups visible on a single event. 0 means no limit. Default: 0
+ * @default 0
+ *
+ * @param Max Popups
+ * @desc Maximum number of popups visible at the same time. 0 means no limit. Default: 0
+ * @default 0
+ *
  * =============================================================================
  *
  * @help
  * To create a popup, call the following function in a "Script" event command:
  * 
- * IAVRA.EVENTPOPUP.popup(eventId, text, options);
+ * IAVRA.EVENTPOPUP.popup(target, text, options);
  * 
- * Where "eventId" is the id of the event you want to show the popup on, "text" is the message you want to show and
+ * Where "target" is the character you want to show the popup on, "text" is the message you want to show and
  * "options" is an optional object, that can be used to override the default values set via plugin parameters.
  *
+ * The target can be given as one of the following:
+ *
+ * 5              The id of an event on the current map.
+ * "player"       The player.
+ * "follower 2"   The follower at the given position, where 1 is the first follower behind the player.
+ * "vehicle boat" The vehicle of the given type, which is either boat, ship or airship.
+ * "Chest"        The name of an event on the current map. If multiple events share a name, the first one is used.
+ * object         Any object containing the functions screenX() and screenY(), like a Game_Character.
+ *
+ * Since numbers and the other keywords are checked first, events whose name only consists of digits, is "player" or
+ * starts with "follower" or "vehicle" followed by a valid index or type can't be targeted by name. Use their id,
+ * instead.
+ *
+ * If the target can't be found (for example, because the event has been removed, the follower is hidden or the vehicle
+ * is located on another map), its popups are removed, as well.
+ *
  * The following list shows all possible options:
  *
  * width      The width of the popup window. By default, popups will be horizontally centered on the event.
@@ -70,6 +114,17 @@
  * fontName   The font to be used.
  * fontSize   The font size to be used.
  * lineHeight Height of a single text line. This should be slightly higher than fontSize.
+ * style      Either "default", which draws a dim gradient, or "bubble", which draws a speech bubble.
+ * policy     What happens, if the target already shows a popup. "stack" pushes older popups upwards, "queue" shows
+ *            the new popup once the current one has faded out and "replace" removes the current popup immediately.
+ * limit      Maximum number of stacked popups visible on the target. If it's exceeded, the oldest one fades out.
+ *
+ * The "bubble" style uses the image given in the "Bubble Image" parameter, which contains the bubble's background on
+ * top and its tail, pointing downwards, in the bottom "Tail Size" pixels. The background is drawn as 9-slice, so its
+ * borders (given in "Bubble Border") keep their size, while its center is stretched to fit the popup. The tail is
+ * drawn below the bubble and points at the event. Bubbles are kept inside the screen. If the bubbles stacked on an event
+ * would leave the top of the screen, they are all shown below the event, instead, with their tails flipped to point
+ * upwards.
  *
  * The "text" parameter can contain any special characters. Beware that icons have a fixed size and might look strange
  * depending on the fontSize. Also remember that you need to double backslashes on certain escape codes. To display the
@@ -77,17 +132,22 @@
  *
  * If you want to remove popups, before they have faded out, you can do so by calling this function:
  *
- * IAVRA.EVENTPOPUP.clear(eventId);
+ * IAVRA.EVENTPOPUP.clear(target);
  *
- * This will remove all popups shown for a specific event or all popups if the "eventId" parameter is left out.
+ * This will remove all popups shown for a specific target or all popups if the "target" parameter is left out.
  *
  * If you don't want to use script calls, you can use the following plugin commands, instead, but note that it's not
  * possible to specify options for the "popup" command:
  *
- * EventPopup popup eventId text
- * EventPopup clean eventId
+ * EventPopup popup target text
+ * EventPopup clear target
+ *
+ * Inside plugin commands, targets are given without quotes (for example "EventPopup popup follower 2 'Wait!'") and
+ * event names can't contain spaces. You can use the keyword "this" (without quotes) to show or clear popups on the
+ * current event.
  *
- * Inside plugin commands, you can use the keyword "this" (without quotes) to show or clear popups on the current event.
+ * If more popups than given in "Max Popups" would be visible at the same time, the oldest one starts to fade out.
+ * Popups, that are already fading out, don't count towards any limit. Queued popups wait, until there is room for them.
  */
 
 var Imported = Imported || {};
@@ -129,9 +189,30 @@ var IAVRA = IAVRA || {};
         fadeOut: parseInt(_params['Fade Out Duration']) || 0,
         fontName: _params['Font Name'] || null, 
         fontSize: parseInt(_params['Font Size']) || 0,
-        lineHeight: parseInt(_params['Line Height']) || 0
+        lineHeight: parseInt(_params['Line Height']) || 0,
+        style: (_params['Popup Style'] || '').trim() || 'default',
+        policy: (_params['Popup Policy'] || '').trim() || 'stack',
+        limit: parseInt(_params['Max Per Event']) || 0
     };
     
+    /**
+     * Maximum number of popups visible at the same time, where 0 means no limit.
+     */
+    var _maxPopups = parseInt(_params['Max Popups']) || 0;
+    
+    /**
+     * Popups created with the "queue" policy, which wait for the current popup on their event to disappear.
+     */
+    var _queue = [];
+    
+    /**
+     * Image used for the "bubble" style. The top part is drawn as 9-slice, while the bottom "Tail Size" pixels contain
+     * the tail.
+     */
+    var _bubbleImage = (_params['Bubble Image'] || '').trim();
+    var _bubbleBorder = parseInt(_params['Bubble Border']) || 0;
+    var _tailSize = parseInt(_params['Tail Size']) || 0;
+    
     /**
      * Container for all created popup windows. Using WindowLayer would cause overlapping popups to cut each other and
      * inserting directly in Scene_Map causes all popups to vanish when entering the menu (which i don't want). So we
@@ -139,7 +220,9 @@ var IAVRA = IAVRA || {};
      */
     var _container = (function($) {
         $.update = function() {
-            this.children.forEach(function(child) { if(child.update) child.update(); });
+            this.children.concat(_queue).forEach(function(popup) { popup.refreshTarget(); });
+            this.children.slice().forEach(function(child) { if(child.update) child.update(); });
+            flushQueue();
         };
         return $;
     })(new PIXI.DisplayObjectContainer());
@@ -156,11 +239,125 @@ var IAVRA = IAVRA || {};
         }, {});
     };
     
+    /**
+     * Draws the given area of the image to the whole bitmap as 9-slice, so the borders keep their size and only the
+     * center and edges are stretched.
+     */
+    var drawNineSlice = function(bitmap, image, width, height, border) {
+        var sx = [0, border, width - border], sw = [border, width - 2 * border, border];
+        var sy = [0, border, height - border], sh = [border, height - 2 * border, border];
+        var dx = [0, border, bitmap.width - border], dw = [border, bitmap.width - 2 * border, border];
+        var dy = [0, border, bitmap.height - border], dh = [border, bitmap.height - 2 * border, border];
+        for(var i = 0; i < 3; ++i) {
+            for(var j = 0; j < 3; ++j) {
+                bitmap.blt(image, sx[i], sy[j], sw[i], sh[j], dx[i], dy[j], dw[i], dh[j]);
+            }
+        }
+    };
+    
     /**
      * Removes a popup from the container, so the popup doesn't have to reference the container directly.
      */
     var removePopup = function(popup) { _container.removeChild(popup); };
     
+    /**
+     * Returns the combined height of the given popups, including the tails of bubbles.
+     */
+    var stackHeight = function(popups) {
+        return popups.reduce(function(height, popup) {
+            return height + popup.height + (popup._bubbleSprite ? _tailSize : 0);
+        }, 0);
+    };
+    
+    /**
+     * Returns the character (or any other object containing screenX() and screenY()) described by the given target or
+     * undefined, if it can't be found. Hidden followers and vehicles located on other maps count as not found. Targets
+     * are resolved once per frame, so they always point at the current follower, vehicle or event.
+     */
+    var resolveTarget = function(target) {
+        if(target && typeof target.screenX === 'function' && typeof target.screenY === 'function') {
+            return target;
+        }
+        if(typeof target === 'number' || /^\d+$/.test(target)) {
+            return $gameMap.event(parseInt(target));
+        }
+        if(typeof target !== 'string') {
+            return undefined;
+        }
+        var match;
+        if(target === 'player') {
+            return $gamePlayer;
+        }
+        if((match = /^follower\s+(\d+)$/.exec(target))) {
+            var follower = $gamePlayer.followers().follower(parseInt(match[1]) - 1);
+            return (follower && follower.isVisible()) ? follower : undefined;
+        }
+        if((match = /^vehicle\s+(boat|ship|airship)$/.exec(target))) {
+            var vehicle = $gameMap.vehicle(match[1]);
+            return (vehicle && vehicle._mapId === $gameMap.mapId()) ? vehicle : undefined;
+        }
+        return $gameMap.events().filter(function(event) { return event.event().name === target; })[0];
+    };
+    
+    /**
+     * Returns a function testing, if a popup is shown on the given target, for example an event given by id and by
+     * name. The target is only resolved once and compared to the character cached in each popup, so we don't have to
+     * resolve every popup's target again.
+     */
+    var isOnTarget = function(target) {
+        var character = resolveTarget(target);
+        return function(popup) {
+            return popup._target === target || (character !== undefined && popup._character === character);
+        };
+    };
+    
+    /**
+     * Returns all visible popups on the given target, starting with the oldest one.
+     */
+    var popupsOf = function(target) {
+        return _container.children.filter(isOnTarget(target));
+    };
+    
+    /**
+     * Returns all given popups, that haven't started to fade out, yet. Only those count towards the popup limits.
+     */
+    var activePopups = function(popups) {
+        return popups.filter(function(popup) { return !popup.isFadingOut(); });
+    };
+    
+    /**
+     * Lets the oldest of the given popups fade out, so that no more than "limit" - 1 of them remain active and there is
+     * room for a new one. A limit of 0 means no limit.
+     */
+    var limitPopups = function(popups, limit) {
+        var active = activePopups(popups);
+        limit > 0 && active.slice(0, Math.max(active.length - limit + 1, 0)).forEach(function(popup) {
+            popup.fadeOut();
+        });
+    };
+    
+    /**
+     * Adds a popup to the container. If this would exceed "Max Popups", the oldest popups start to fade out.
+     */
+    var addPopup = function(popup) {
+        limitPopups(_container.children, _maxPopups);
+        _container.addChild(popup);
+    };
+    
+    /**
+     * Shows every queued popup, whose target doesn't show a popup anymore, as long as "Max Popups" isn't reached.
+     */
+    var flushQueue = function() {
+        _queue = _queue.filter(function(popup) {
+            var full = _maxPopups > 0 && activePopups(_container.children).length >= _maxPopups;
+            if(popupsOf(popup._character).length || full) {
+                return true;
+            }
+            _container.addChild(popup);
+            return false;
+        });
+    };
+    
     //=============================================================================
     // module IAVRA.EVENTPOPUP
     //=============================================================================
@@ -168,25 +365,42 @@ var IAVRA = IAVRA || {};
     IAVRA.EVENTPOPUP = {
         
         /**
-         * Creates a new popup displaying the given text on the given event. An optional object can be used to override
+         * Creates a new popup displaying the given text on the given target. An optional object can be used to override
          * some or all of the default options.
          */
-        popup: function(eventId, text, options) {
-            _container.addChild(new IAVRA.EVENTPOPUP.Window_Popup(eventId, text, options));
+        popup: function(target, text, options) {
+            var popup = new IAVRA.EVENTPOPUP.Window_Popup(target, text, options), current = popupsOf(target);
+            switch(popup._options.policy) {
+                case 'stack':
+                    limitPopups(current, popup._options.limit);
+                    break;
+                case 'queue':
+                    if(current.length || _queue.some(isOnTarget(target))) {
+                        _queue.push(popup);
+                        return;
+                    }
+                    break;
+                case 'replace':
+                    IAVRA.EVENTPOPUP.clear(target);
+                    break;
+                default:
+                    throw new Error('Unknown popup policy "' + popup._options.policy + '".');
+            }
+            addPopup(popup);
         },
         
         /**
-         * Clears either all popups (if eventId is undefined) or only those belonging to the given eventId.
+         * Clears either all popups (if target is undefined) or only those belonging to the given target, including
+         * queued ones.
          */
-        clear: function(eventId) {
-            if(eventId === undefined) {
+        clear: function(target) {
+            if(target === undefined) {
                 _container.removeChildren();
+                _queue = [];
             } else {
-                _container.children.filter(function(child) {
-                    return child._eventId === eventId;
-                }).forEach(function(child) {
-                    _container.removeChild(child);
-                });
+                popupsOf(target).forEach(removePopup);
+                var onTarget = isOnTarget(target);
+                _queue = _queue.filter(function(popup) { return !onTarget(popup); });
             }
         },
         
@@ -204,6 +418,15 @@ var IAVRA = IAVRA || {};
                 popup.contents.gradientFillRect(0, 0, width / 2, height, color2, color1);
                 popup.contents.gradientFillRect(width / 2, 0, width / 2, height, color1, color2);
             },
+            drawBubble: function(popup) {
+                var image = ImageManager.loadSystem(_bubbleImage);
+                popup.opacity = 0;
+                image.addLoadListener(function() {
+                    var height = image.height - _tailSize;
+                    drawNineSlice(popup._bubbleSprite.bitmap, image, image.width, height, _bubbleBorder);
+                    popup._tailSprite.setFrame(0, height, image.width, _tailSize);
+                });
+            },
             fadeIn: function(popup) {
                 return (popup.contentsOpacity += 255 / (popup._options.fadeIn || 1)) >= 255;
             },
@@ -223,29 +446,59 @@ var IAVRA = IAVRA || {};
         ($.prototype = Object.create(Window_Base.prototype)).constructor = $;
         
         /**
-         * Creates a new popup displaying the given text on the given event. An optional object can be used to override
+         * Creates a new popup displaying the given text on the given target. An optional object can be used to override
          * some or all of the default options.
          */
-        $.prototype.initialize = function(eventId, text, options) {
+        $.prototype.initialize = function(target, text, options) {
             this._options = mergeOptions(_defaultOptions, options);
-            this._eventId = eventId;
+            this._target = target;
+            this.refreshTarget();
             var height = this.fittingHeight(text.split('\n').length);
             Window_Base.prototype.initialize.call(this, 0, 0, this._options.width, height);
-            IAVRA.EVENTPOPUP._callbacks.drawBackground(this);
+            switch(this._options.style) {
+                case 'default':
+                    IAVRA.EVENTPOPUP._callbacks.drawBackground(this);
+                    break;
+                case 'bubble':
+                    this.createBubble();
+                    IAVRA.EVENTPOPUP._callbacks.drawBubble(this);
+                    break;
+                default:
+                    throw new Error('Unknown popup style "' + this._options.style + '".');
+            }
             this.drawTextEx(text, 0, 0);
             this.contentsOpacity = 0;
         };
         
         /**
-         * If the event we are referencing doesn't exist, we remove the popup from our container and return. Otherwise we
-         * update our position according to the event's screen position.
+         * Creates the sprites for the bubble background and its tail behind the window contents.
+         */
+        $.prototype.createBubble = function() {
+            if(!_bubbleImage) {
+                throw new Error('The "bubble" style needs a "Bubble Image".');
+            }
+            this._bubbleSprite = new Sprite(new Bitmap(this.width, this.height));
+            this._tailSprite = new Sprite();
+            this._tailSprite.anchor.x = 0.5;
+            this.addChildToBack(this._tailSprite);
+            this.addChildToBack(this._bubbleSprite);
+        };
+        
+        /**
+         * If the target we are referencing doesn't exist, we remove the popup from our container and return. Otherwise we
+         * update our position according to the target's screen position.
          */
         $.prototype.update = function() {
             Window_Base.prototype.update.call(this);
-            var event = $gameMap.event(this._eventId);
-            if(event === undefined) { removePopup(this); return; }
-            this.x = event.screenX() + this._options.x - this.width / 2;
-            this.y = event.screenY() + this._options.y - this.height;
+            var target = this._character;
+            if(target === undefined) { removePopup(this); return; }
+            var offset = this.stackOffset();
+            if(this._bubbleSprite) {
+                this.updateBubble(target.screenX() + this._options.x, target.screenY() + this._options.y, offset);
+            } else {
+                this.x = target.screenX() + this._options.x - this.width / 2;
+                this.y = target.screenY() + this._options.y - this.height - offset;
+            }
             if(!this._finishedFadeIn) {
                 this._finishedFadeIn = IAVRA.EVENTPOPUP._callbacks.fadeIn(this);
             } else if(--this._options.duration <= 0 && IAVRA.EVENTPOPUP._callbacks.fadeOut(this)) {
@@ -253,6 +506,62 @@ var IAVRA = IAVRA || {};
             }
         };
         
+        /**
+         * Resolves our target and caches the resulting character, which is done once per frame before the popups are
+         * updated.
+         */
+        $.prototype.refreshTarget = function() {
+            this._character = resolveTarget(this._target);
+        };
+        
+        /**
+         * Skips the remaining display duration, so the popup starts to fade out on its next update. This is used to make
+         * room for new popups, if a limit has been reached.
+         */
+        $.prototype.fadeOut = function() {
+            this._finishedFadeIn = true;
+            this._options.duration = 0;
+        };
+        
+        /**
+         * Returns true, if the popup has finished displaying and is currently fading out.
+         */
+        $.prototype.isFadingOut = function() {
+            return !!this._finishedFadeIn && this._options.duration <= 0;
+        };
+        
+        /**
+         * Stacked popups are pushed away from the target by the height of all newer popups on the same target.
+         */
+        $.prototype.stackOffset = function() {
+            var popups = popupsOf(this._character);
+            return stackHeight(popups.slice(popups.indexOf(this) + 1));
+        };
+        
+        /**
+         * Bubbles are flipped below the given point, if the whole stack on our target doesn't fit above it. This is
+         * decided for the complete stack, so all bubbles on the same target are flipped together.
+         */
+        $.prototype.isFlipped = function(y) {
+            return y - stackHeight(popupsOf(this._character)) < 0;
+        };
+        
+        /**
+         * Places the bubble above the given point and keeps it inside the screen, while its tail keeps pointing at the
+         * point. If there isn't enough space above the stack, the bubble is placed below and its tail is flipped. The
+         * offset is used to stack multiple bubbles on the same event, either upwards or downwards.
+         */
+        $.prototype.updateBubble = function(x, y, offset) {
+            var tail = this._tailSprite, halfTail = tail.width / 2;
+            var below = this.isFlipped(y);
+            this.x = Math.max(Math.min(x - this.width / 2, Graphics.boxWidth - this.width), 0);
+            this.y = below ? y + _tailSize + offset : y - this.height - _tailSize - offset;
+            tail.x = Math.max(Math.min(x - this.x, this.width - halfTail), halfTail);
+            tail.y = below ? 0 : this.height;
+            tail.scale.y = below ? -1 : 1;
+            tail.opacity = this._bubbleSprite.opacity = this.contentsOpacity;
+        };
+        
         /**
          * Using our own font or fall back to the default, if none was specified.
          */
@@ -285,7 +594,7 @@ var IAVRA = IAVRA || {};
         var _alias_terminate = $.prototype.terminate;
         $.prototype.terminate = function() {
             _alias_terminate.apply(this, arguments);
-            _paramRetainOnscene.some(function(scene) { return SceneManager.isNextScene(scene); }) || _container.removeChildren();
+            _paramRetainOnscene.some(function(scene) { return SceneManager.isNextScene(scene); }) || IAVRA.EVENTPOPUP.clear();
         };
         
     })(Scene_Base);
@@ -315,23 +624,25 @@ var IAVRA = IAVRA || {};
         
         /**
          * When our plugin command is called, we take the first parameter to determine the actual command and the second
-         * parameter to determine the eventId. The special case "this" is used to point to the id of the current event.
-         * In case of the "popup" command, we also need to join the remaining arguments to get the complete String and
-         * pass it to eval(), so special characters are properly formatted.
+         * parameter to determine the target. The special case "this" is used to point to the id of the current event,
+         * while "follower" and "vehicle" take the next parameter as their index or type. In case of the "popup" command,
+         * we also need to join the remaining arguments to get the complete String and pass it to eval(), so special
+         * characters are properly formatted.
          */
         var _alias_pluginCommand = $.prototype.pluginCommand;
         $.prototype.pluginCommand = function(command, args) {
             _alias_pluginCommand.apply(this, arguments);
             if(command === 'EventPopup') {
                 var actualCommand = args.shift();
-                var eventId = args.shift();
-                (eventId !== 'this') || (eventId = this.eventId());
+                var target = args.shift();
+                (target !== 'this') || (target = this.eventId());
+                (target !== 'follower' && target !== 'vehicle') || (target += ' ' + args.shift());
                 switch(actualCommand) {
                     case 'popup':
-                        IAVRA.EVENTPOPUP.popup(eventId, eval(args.join(' ')));
+                        IAVRA.EVENTPOPUP.popup(target, eval(args.join(' ')));
                         break;
                     case 'clear':
-                        IAVRA.EVENTPOPUP.clear(eventId);
+                        IAVRA.EVENTPOPUP.clear(target);
                         break;
                 };
             }